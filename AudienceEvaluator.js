@@ -0,0 +1,303 @@
+/**
+ * AudienceEvaluator
+ * -----------------
+ * Evaluates a survey's `audience` block against a visitor context that:
+ * - Combines conditions with all / any / not (keys of the same node are ANDed)
+ * - Reads (possibly dotted) attributes from the context, e.g. "data.cart_value"
+ * - Supports equality, list, numeric range, regex and existence operators
+ * - Returns { matched, reason } where reason explains the deciding check
+ *
+ * Used by SurveyEngine (audience check before schedule, caps and sampling).
+ *
+ * Audience shape:
+ *   {
+ *     all: [
+ *       { logged_in: true },
+ *       { device: ["mobile", "tablet"] },
+ *       { visits: { gte: 3 } },
+ *       { "data.cart_value": { gt: 50 } },
+ *       { not: { "data.segment": { regex: "^staff" } } }
+ *     ]
+ *   }
+ *
+ * Matcher forms:
+ * - primitive => equals
+ * - array     => matches if any entry matches
+ * - object    => { equals, not_equals, in, not_in, gt, gte, lt, lte, between: [min, max],
+ *                  regex (+ flags), prefix, suffix, contains, exists }, all must hold
+ */
+class AudienceEvaluator {
+    constructor(options) {
+        this.config = {
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        // Compiled regular expressions keyed by "flags/source"
+        this.regexCache = {};
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        PUBLIC AUDIENCE API
+       ========================= */
+
+    /**
+     * Evaluates an audience against a visitor context. No audience => everyone matches;
+     * an invalid audience matches nobody (it never widens the audience).
+     */
+    evaluate(audience, context) {
+        if (audience === null || typeof audience === "undefined") {
+            return { matched: true, reason: "no audience" };
+        }
+        if (typeof audience !== "object" || Array.isArray(audience)) {
+            return { matched: false, reason: "invalid audience" };
+        }
+
+        return this.evaluateCondition(audience, context || {});
+    }
+
+    /* =========================
+        CONDITIONS
+       ========================= */
+
+    /**
+     * Evaluates a condition node. Multiple keys in the same node are combined with AND.
+     */
+    evaluateCondition(condition, ctx) {
+        if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+            return { matched: false, reason: "invalid condition" };
+        }
+
+        var keys = Object.keys(condition);
+        if (!keys.length) return { matched: true, reason: "no conditions" };
+
+        var reasons = [];
+
+        for (var i = 0; i < keys.length; i++) {
+            var result = this.evaluateConditionKey(keys[i], condition[keys[i]], ctx);
+            if (!result.matched) return result;
+            reasons.push(result.reason);
+        }
+
+        return { matched: true, reason: reasons.join(" AND ") };
+    }
+
+    /**
+     * Evaluates a composition operator or a context attribute.
+     */
+    evaluateConditionKey(key, value, ctx) {
+        switch (key) {
+            case "all":
+                return this.evaluateAll(value, ctx);
+            case "any":
+                return this.evaluateAny(value, ctx);
+            case "not":
+                var inner = this.evaluateCondition(value, ctx);
+                return { matched: !inner.matched, reason: "NOT (" + inner.reason + ")" };
+            default:
+                return this.evaluateField(key, this.readPath(ctx, key), value);
+        }
+    }
+
+    evaluateAll(conditions, ctx) {
+        if (!Array.isArray(conditions)) return { matched: false, reason: "'all' expects an array" };
+
+        var reasons = [];
+        for (var i = 0; i < conditions.length; i++) {
+            var result = this.evaluateCondition(conditions[i], ctx);
+            if (!result.matched) return result;
+            reasons.push(result.reason);
+        }
+        return { matched: true, reason: reasons.join(" AND ") };
+    }
+
+    evaluateAny(conditions, ctx) {
+        if (!Array.isArray(conditions)) return { matched: false, reason: "'any' expects an array" };
+
+        var reasons = [];
+        for (var i = 0; i < conditions.length; i++) {
+            var result = this.evaluateCondition(conditions[i], ctx);
+            if (result.matched) return result;
+            reasons.push(result.reason);
+        }
+        return { matched: false, reason: "none of (" + reasons.join(" OR ") + ")" };
+    }
+
+    /**
+     * Evaluates a value matcher (primitive, array or operator object) against an attribute.
+     */
+    evaluateField(field, actual, matcher) {
+        if (Array.isArray(matcher)) {
+            for (var i = 0; i < matcher.length; i++) {
+                if (this.evaluateField(field, actual, matcher[i]).matched) {
+                    return { matched: true, reason: field + " matched " + JSON.stringify(matcher[i]) };
+                }
+            }
+            return { matched: false, reason: field + " " + JSON.stringify(actual) + " not in " + JSON.stringify(matcher) };
+        }
+
+        if (matcher === null || typeof matcher !== "object") {
+            matcher = { equals: matcher };
+        }
+
+        var operators = Object.keys(matcher);
+        for (var j = 0; j < operators.length; j++) {
+            var op = operators[j];
+            if (op === "flags") continue;
+
+            if (!this.applyOperator(op, actual, matcher[op], matcher.flags)) {
+                return { matched: false, reason: field + " " + JSON.stringify(actual) + " failed " + op + " " + JSON.stringify(matcher[op]) };
+            }
+        }
+
+        return { matched: true, reason: field + " " + JSON.stringify(actual) + " matched " + JSON.stringify(matcher) };
+    }
+
+    /**
+     * Applies a single operator. Missing attributes only satisfy exists: false, not_equals
+     * and not_in; unknown operators never match.
+     */
+    applyOperator(op, actual, expected, flags) {
+        var exists = typeof actual !== "undefined" && actual !== null && actual !== "" &&
+            !(Array.isArray(actual) && !actual.length);
+
+        if (op === "exists") return exists === !!expected;
+        if (op === "not_equals") return !exists || String(actual) !== String(expected);
+        if (op === "not_in") return !exists || !(Array.isArray(expected) && expected.map(String).indexOf(String(actual)) !== -1);
+        if (!exists) return false;
+
+        var str = String(actual);
+
+        switch (op) {
+            case "equals":
+                return str === String(expected);
+            case "in":
+                return Array.isArray(expected) && expected.map(String).indexOf(str) !== -1;
+            case "gt":
+                return this.compareNumbers(actual, expected) > 0;
+            case "gte":
+                return this.compareNumbers(actual, expected) >= 0;
+            case "lt":
+                return this.compareNumbers(actual, expected) < 0;
+            case "lte":
+                return this.compareNumbers(actual, expected) <= 0;
+            case "between":
+                return Array.isArray(expected) && expected.length === 2 &&
+                    this.compareNumbers(actual, expected[0]) >= 0 && this.compareNumbers(actual, expected[1]) <= 0;
+            case "prefix":
+                return str.indexOf(String(expected)) === 0;
+            case "suffix":
+                var suffix = String(expected);
+                return str.length >= suffix.length && str.slice(str.length - suffix.length) === suffix;
+            case "contains":
+                // Lists (e.g. segments) contain an entry; strings contain a substring.
+                if (Array.isArray(actual)) return actual.map(String).indexOf(String(expected)) !== -1;
+                return str.indexOf(String(expected)) !== -1;
+            case "regex":
+                var re = this.getRegex(String(expected), flags);
+                return !!re && re.test(str);
+            default:
+                this.log("SURVEY: unknown audience operator " + op);
+                return false;
+        }
+    }
+
+    /**
+     * Compares two values as numbers: negative, 0 or positive; NaN when either is not a number
+     * (every comparison with NaN is false).
+     */
+    compareNumbers(actual, expected) {
+        if (typeof actual === "boolean" || actual === "" || expected === "" || expected === null) return NaN;
+        return Number(actual) - Number(expected);
+    }
+
+    /* =========================
+        UTILS
+       ========================= */
+
+    /**
+     * Reads a (possibly dotted) key from an object; exact keys take precedence.
+     */
+    readPath(source, path) {
+        if (!source || typeof source !== "object") return undefined;
+        if (Object.prototype.hasOwnProperty.call(source, path)) return source[path];
+
+        var parts = String(path).split(".");
+        var current = source;
+
+        for (var i = 0; i < parts.length; i++) {
+            if (!current || typeof current !== "object") return undefined;
+            current = current[parts[i]];
+        }
+
+        return current;
+    }
+
+    /**
+     * Returns a cached RegExp, or null (with an event) if the pattern is invalid.
+     */
+    getRegex(source, flags) {
+        var f = flags ? String(flags) : "";
+        var cacheKey = f + "/" + source;
+
+        if (Object.prototype.hasOwnProperty.call(this.regexCache, cacheKey)) return this.regexCache[cacheKey];
+
+        var re = null;
+        try {
+            re = new RegExp(source, f);
+        } catch (e) {
+            this.emit("audience_invalid_regex", { pattern: source, flags: f, error: e && e.message });
+            this.log("SURVEY: invalid audience regex " + source);
+        }
+
+        this.regexCache[cacheKey] = re;
+        return re;
+    }
+
+    /* =========================
+        EVENT / LOG HELPERS
+       ========================= */
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep audience evaluation resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
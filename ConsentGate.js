@@ -0,0 +1,337 @@
+/**
+ * ConsentGate
+ * -----------
+ * Consent-management gate that:
+ * - Reads consent from a CMP through an adapter:
+ *   "tcf" (IAB TCF v2 __tcfapi), "onetrust" (active groups), "cookiebot" (categories),
+ *   or "callback" (any () => true | false | null function)
+ * - Tells whether the required purposes/categories are granted (unknown => not granted)
+ * - Notifies listeners when consent changes, and resolves whenGranted() promises
+ *
+ * Used by SurveyEngine.connectConsent() (storage writes deferred, stored data cleared on
+ * withdrawal) and MedalliaLoader `consent` (script loading deferred).
+ *
+ * Gate contract expected by those components (any object implementing it can replace ConsentGate):
+ * - isGranted()          => boolean
+ * - addListener(fn)      => unsubscribe function; fn(granted, previous) is called on every change
+ */
+class ConsentGate {
+    constructor(options) {
+        this.config = {
+            // "tcf" | "onetrust" | "cookiebot" | "callback"
+            adapter: "callback",
+
+            // TCF: purpose IDs that must have consent (1 = store/access information on a device)
+            // and optional vendor ID that must have consent too
+            tcfPurposes: [1],
+            tcfVendorId: null,
+
+            // TCF: how long to wait for a CMP stub loaded after this script (ms),
+            // and how often to look for __tcfapi meanwhile
+            tcfWaitMs: 5000,
+            tcfPollIntervalMs: 100,
+
+            // OneTrust: group IDs that must be active (e.g. "C0002" performance, "C0003" functional)
+            oneTrustGroups: ["C0003"],
+
+            // Cookiebot: categories that must be accepted ("preferences" | "statistics" | "marketing")
+            cookiebotCategories: ["statistics"],
+
+            // Callback adapter: () => true | false | null (null => unknown yet);
+            // call refresh() when the answer may have changed
+            check: null,
+
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        // true | false | null (unknown: CMP not ready, no choice yet)
+        this.state = null;
+        this.listeners = [];
+        this.grantedResolvers = [];
+        this.started = false;
+
+        // Bind handlers (no nested functions)
+        this.refresh = this.refresh.bind(this);
+        this.onTcfData = this.onTcfData.bind(this);
+        this.attachTcf = this.attachTcf.bind(this);
+        this.addGrantedResolver = this.addGrantedResolver.bind(this);
+        this.tcfListenerId = null;
+        this.tcfPollTimer = null;
+        this.tcfWaitStartedAt = 0;
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        PUBLIC CONSENT API
+       ========================= */
+
+    /**
+     * Starts listening to the CMP (called automatically on first use).
+     */
+    start() {
+        if (this.started) return this;
+        this.started = true;
+
+        var adapter = this.config.adapter;
+
+        if (adapter === "tcf") {
+            this.tcfWaitStartedAt = Date.now();
+            this.attachTcf();
+        } else if (adapter === "onetrust") {
+            window.addEventListener("OneTrustGroupsUpdated", this.refresh);
+        } else if (adapter === "cookiebot") {
+            window.addEventListener("CookiebotOnConsentReady", this.refresh);
+            window.addEventListener("CookiebotOnAccept", this.refresh);
+            window.addEventListener("CookiebotOnDecline", this.refresh);
+        }
+
+        if (adapter !== "tcf") this.refresh();
+        return this;
+    }
+
+    /**
+     * Stops listening to the CMP and drops listeners.
+     */
+    destroy() {
+        if (this.tcfPollTimer) {
+            window.clearTimeout(this.tcfPollTimer);
+            this.tcfPollTimer = null;
+        }
+        if (this.config.adapter === "tcf" && this.tcfListenerId !== null && typeof window.__tcfapi === "function") {
+            window.__tcfapi("removeEventListener", 2, this.noop, this.tcfListenerId);
+        }
+        window.removeEventListener("OneTrustGroupsUpdated", this.refresh);
+        window.removeEventListener("CookiebotOnConsentReady", this.refresh);
+        window.removeEventListener("CookiebotOnAccept", this.refresh);
+        window.removeEventListener("CookiebotOnDecline", this.refresh);
+
+        this.listeners = [];
+        this.started = false;
+    }
+
+    /**
+     * True when the required purposes/categories are granted.
+     */
+    isGranted() {
+        this.start();
+
+        // A callback has no change notification: ask it every time.
+        if (this.config.adapter === "callback") this.refresh();
+        return this.state === true;
+    }
+
+    /**
+     * Resolves once consent is granted (immediately if it already is).
+     */
+    whenGranted() {
+        if (this.isGranted()) return Promise.resolve();
+        return new Promise(this.addGrantedResolver);
+    }
+
+    /**
+     * Registers a (granted, previous) listener called on every change. Returns an unsubscribe function.
+     */
+    addListener(listener) {
+        this.start();
+        if (typeof listener !== "function") return function () {};
+
+        var listeners = this.listeners;
+        listeners.push(listener);
+
+        return function () {
+            var idx = listeners.indexOf(listener);
+            if (idx !== -1) listeners.splice(idx, 1);
+        };
+    }
+
+    /**
+     * Sets consent explicitly (e.g. from a custom banner), bypassing the adapter.
+     */
+    setConsent(granted) {
+        this.update(granted === null ? null : !!granted);
+    }
+
+    /**
+     * Re-reads consent from the adapter (OneTrust, Cookiebot, callback).
+     */
+    refresh() {
+        var adapter = this.config.adapter;
+        var value = null;
+
+        try {
+            if (adapter === "onetrust") value = this.readOneTrust();
+            else if (adapter === "cookiebot") value = this.readCookiebot();
+            else if (adapter === "callback" && typeof this.config.check === "function") value = this.config.check();
+            else return;
+        } catch (e) {
+            this.log("SURVEY: unable to read consent - " + (e && e.message));
+            value = null;
+        }
+
+        this.update(value === null || typeof value === "undefined" ? null : !!value);
+    }
+
+    /* =========================
+        ADAPTERS
+       ========================= */
+
+    /**
+     * Listens to the TCF API, polling for it until tcfWaitMs (the CMP stub may be loaded
+     * after this script). Consent stays unknown if it never shows up.
+     */
+    attachTcf() {
+        this.tcfPollTimer = null;
+
+        if (typeof window.__tcfapi === "function") {
+            window.__tcfapi("addEventListener", 2, this.onTcfData);
+            return;
+        }
+
+        var waited = Date.now() - this.tcfWaitStartedAt;
+        if (waited < this.config.tcfWaitMs) {
+            this.tcfPollTimer = window.setTimeout(this.attachTcf, this.config.tcfPollIntervalMs);
+            return;
+        }
+
+        this.log("SURVEY: __tcfapi not found - consent unknown");
+        this.emit("consent_cmp_not_found", { adapter: "tcf", waited_ms: waited });
+    }
+
+    /**
+     * TCF v2 event listener: only final states (tcloaded, useractioncomplete) are used.
+     */
+    onTcfData(tcData, success) {
+        if (!success || !tcData) return;
+
+        this.tcfListenerId = tcData.listenerId;
+        if (tcData.eventStatus !== "tcloaded" && tcData.eventStatus !== "useractioncomplete") return;
+
+        // Outside GDPR scope no consent is required.
+        if (tcData.gdprApplies === false) {
+            this.update(true);
+            return;
+        }
+
+        var purposes = (tcData.purpose && tcData.purpose.consents) || {};
+        var granted = this.config.tcfPurposes.every(function (id) {
+            return purposes[id] === true;
+        });
+
+        var vendorId = this.config.tcfVendorId;
+        if (granted && vendorId !== null && vendorId !== "") {
+            granted = !!(tcData.vendor && tcData.vendor.consents && tcData.vendor.consents[vendorId] === true);
+        }
+
+        this.update(granted);
+    }
+
+    /**
+     * OneTrust exposes active groups as ",C0001,C0003,"; undefined until the SDK is ready.
+     */
+    readOneTrust() {
+        if (typeof window.OnetrustActiveGroups !== "string") return null;
+
+        var active = window.OnetrustActiveGroups.split(",");
+        return this.config.oneTrustGroups.every(function (group) {
+            return active.indexOf(group) !== -1;
+        });
+    }
+
+    /**
+     * Cookiebot exposes Cookiebot.consent.<category>; hasResponse is false until the visitor chose.
+     */
+    readCookiebot() {
+        var cookiebot = window.Cookiebot;
+        if (!cookiebot || !cookiebot.consent || cookiebot.hasResponse === false) return null;
+
+        return this.config.cookiebotCategories.every(function (category) {
+            return cookiebot.consent[category] === true;
+        });
+    }
+
+    /* =========================
+        STATE
+       ========================= */
+
+    update(value) {
+        var previous = this.state;
+        if (value === previous) return;
+
+        this.state = value;
+        this.emit(value === true ? "consent_granted" : value === false ? "consent_denied" : "consent_unknown", {
+            adapter: this.config.adapter,
+            previous: previous
+        });
+
+        if (value === true) {
+            var resolvers = this.grantedResolvers;
+            this.grantedResolvers = [];
+            for (var j = 0; j < resolvers.length; j++) resolvers[j]();
+        }
+
+        var listeners = this.listeners.slice();
+        for (var i = 0; i < listeners.length; i++) {
+            try {
+                listeners[i](value === true, previous === true);
+            } catch (e) {
+                // Swallow errors to keep consent handling resilient.
+            }
+        }
+    }
+
+    /**
+     * Promise executor for whenGranted(): resolved on the next grant.
+     */
+    addGrantedResolver(resolve) {
+        this.grantedResolvers.push(resolve);
+    }
+
+    noop() {}
+
+    /* =========================
+        EVENT / LOG HELPERS
+       ========================= */
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep consent handling resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
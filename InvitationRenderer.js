@@ -2,10 +2,13 @@
  * InvitationRenderer
  * ------------------
  * UI layer that:
- * - Loads Medallia script (Kampyle/Nebula)
- * - Renders invitation (HTML/CSS)
- * - Wires accept/decline handlers
- * - Triggers Medallia custom events (invite/accept/reject)
+ * - Loads Medallia script (Kampyle/Nebula) via MedalliaLoader.js (timeout, retries, CSP nonce)
+ * - Renders invitation (HTML/CSS) from safe templates with placeholders (InvitationTemplate.js),
+ *   optionally isolated in a shadow root and localized per locale (with RTL support)
+ * - Shows it after `delay` and optional behavioral triggers (InvitationTriggers.js)
+ * - Wires accept/decline handlers, plus optional close, "remind me later" and auto-dismiss
+ * - Exposes the invitation as an accessible dialog (ARIA, focus management, ESC)
+ * - Triggers Medallia custom events (invite/accept/reject/close/remind_later/auto_dismiss)
  *
  * IMPORTANT:
  * - It does NOT choose surveys.
@@ -21,6 +24,43 @@ class InvitationRenderer {
             // Event name fired by Medallia when onsite is ready
             onsiteLoadedEventName: "neb_OnsiteLoaded",
 
+            // MedalliaLoader options: cdnBaseUrl, timeoutMs, retries, retryDelayMs, nonce, integrity, ...
+            loaderOptions: null,
+
+            // Consent gate (ConsentGate.js or its gate contract): Medallia is loaded only once consent is granted
+            consent: null,
+
+            // Form definitions may be hydrated after Medallia is ready: wait for
+            // KAMPYLE_DATA.getFormData(survey_id) up to formDataTimeoutMs, checking every formDataPollMs.
+            formDataTimeoutMs: 5000,
+            formDataPollMs: 200,
+
+            // If true, rendered HTML is reduced to an allow-list and CSS is neutralized
+            // (see InvitationTemplate.js). Disable only for fully trusted templates.
+            sanitize: true,
+
+            // Extra template variables: object or () => object
+            templateVars: null,
+
+            // Data layer exposed to templates as {{data.*}}: object or () => object
+            // (null => window.utag_data when available)
+            dataLayer: null,
+
+            // If true, a placeholder without value is a template error
+            strictTemplateVars: false,
+
+            // Locale for invitation templates: string, () => string, or "" to detect it
+            // from <html lang>, then navigator.languages (see resolveLocaleChain()).
+            locale: "",
+
+            // What showInvitationForSurvey() does while another invitation is active:
+            // "replace" | "ignore_if_active" | "queue" (overridable per call)
+            queuePolicy: "replace",
+
+            // If true, invitations render inside a shadow root (styles scoped both ways).
+            // A style can override it with `shadow_dom: true|false`.
+            useShadowDom: false,
+
             // External hooks for tracking/debug
             // (type, payload) => void
             onEvent: null,
@@ -36,22 +76,70 @@ class InvitationRenderer {
 
         // Runtime state for the current invitation
         this.state = {
+            // Active request (see createRequest()) and its survey
+            request: null,
             survey: null,
             invitation: null,
             okEl: null,
             koEl: null,
+            // Optional action elements (close_selector, remind_selector)
+            closeEl: null,
+            remindEl: null,
+            autoDismissTimer: null,
             containerEl: null,
-            showTimer: null
+            showTimer: null,
+            // Form data polling (see waitForFormData())
+            formDataTimer: null,
+            formDataDeadline: 0,
+            // Element focused before the invitation was shown (restored on close)
+            previousFocus: null,
+            // "idle" | "pending" (waiting for Medallia/delay/triggers) | "visible" | "closed"
+            status: "idle",
+            // Injected nodes: host/wrapper element, <style> tag, and the root used for lookups
+            // (the shadow root, or the wrapper element)
+            hostEl: null,
+            styleEl: null,
+            rootEl: null,
+            // Locale resolved for the current invitation (null => default variant)
+            locale: null
         };
 
         // Bind handlers (no nested functions)
-        this.onOnsiteLoaded = this.onOnsiteLoaded.bind(this);
+        this.onLoaderEvent = this.onLoaderEvent.bind(this);
+        this.onMedalliaReady = this.onMedalliaReady.bind(this);
+        this.onMedalliaLoadFailed = this.onMedalliaLoadFailed.bind(this);
         this.onAcceptClick = this.onAcceptClick.bind(this);
         this.onDeclineClick = this.onDeclineClick.bind(this);
+        this.onCloseClick = this.onCloseClick.bind(this);
+        this.onRemindClick = this.onRemindClick.bind(this);
+        this.onAutoDismiss = this.onAutoDismiss.bind(this);
         this.onShowTimeout = this.onShowTimeout.bind(this);
-
-        // Internal flag to avoid multiple script injections
-        this.medalliaScriptRequested = false;
+        this.onFormDataPoll = this.onFormDataPoll.bind(this);
+        this.onTriggerFired = this.onTriggerFired.bind(this);
+        this.onTriggersSatisfied = this.onTriggersSatisfied.bind(this);
+        this.onTriggerInvalid = this.onTriggerInvalid.bind(this);
+        this.log = this.log.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        // Behavioral triggers (exit intent, scroll depth, ...); created once so that
+        // time on page keeps accumulating across SPA navigations. Logs go through log(),
+        // which reads config.logger at call time.
+        this.triggers = new InvitationTriggers({
+            onFire: this.onTriggerFired,
+            onSatisfied: this.onTriggersSatisfied,
+            onInvalid: this.onTriggerInvalid,
+            logger: this.log
+        });
+
+        // Medallia script loader (see getLoader())
+        this.loader = null;
+
+        // Additional event listeners (e.g. SurveyEngine.connectRenderer()), called after onEvent
+        this.listeners = [];
+
+        // Invitation requests waiting for the active one to close ("queue" policy)
+        this.queue = [];
+        this.requestCounter = 0;
     }
 
     /* =========================
@@ -70,56 +158,273 @@ class InvitationRenderer {
         return this;
     }
 
+    /**
+     * Returns the registered display names (usable as SurveyConfigValidator knownDisplays).
+     */
+    getRegisteredDisplays() {
+        return Object.keys(this.surveyStyles);
+    }
+
+    /**
+     * Registers an additional (type, payload) listener. Returns an unsubscribe function.
+     */
+    addListener(listener) {
+        if (typeof listener !== "function") return function () {};
+
+        var listeners = this.listeners;
+        listeners.push(listener);
+
+        return function () {
+            var idx = listeners.indexOf(listener);
+            if (idx !== -1) listeners.splice(idx, 1);
+        };
+    }
+
     /* =========================
         PUBLIC RENDERING API
        ========================= */
 
     /**
      * Ensures Medallia embed.js is requested (only once).
-     * Call this early if you want to pre-load Medallia.
+     * Call this early if you want to pre-load Medallia; it is safe to ignore the result.
+     *
+     * @returns {Promise<boolean>} never rejects: resolved with true when Medallia is usable,
+     *                             false when loading failed (reported by medallia_load_* events)
      */
     initMedalliaLoader() {
-        return this.loadMedalliaScript();
+        return this.getLoader().load().then(this.onPreloadReady, this.onPreloadFailed);
+    }
+
+    onPreloadReady() {
+        return true;
+    }
+
+    onPreloadFailed() {
+        return false;
     }
 
     /**
-     * Shows an invitation for the given survey configuration.
+     * Requests an invitation for the given survey configuration.
      * The caller should provide the chosen survey config from SurveyEngine.
      *
+     * Only one invitation is active (pending or visible) at a time; `policy` decides
+     * what happens when another one is active:
+     * - "replace" (default): the active invitation is cancelled
+     * - "ignore_if_active": the request is dropped
+     * - "queue": the request waits until the active invitation is closed
+     *
      * @param {object} surveyConfig - must contain survey_id, display, delay, etc.
+     * @param {object} [options] - { policy }
+     * @returns {object|null} handle - { id, survey_id, status, cancel(), show(), close() }
+     */
+    showInvitationForSurvey(surveyConfig, options) {
+        if (!surveyConfig) return null;
+
+        var opts = options || {};
+        var policy = opts.policy || this.config.queuePolicy;
+        var request = this.createRequest(surveyConfig);
+        var active = this.state.request;
+
+        if (!active) {
+            this.activateRequest(request);
+        } else if (policy === "ignore_if_active") {
+            this.setRequestStatus(request, "ignored");
+            this.emit("invitation_ignored", { survey_id: surveyConfig.survey_id, active_survey_id: active.survey.survey_id });
+        } else if (policy === "queue") {
+            this.queue.push(request);
+            this.emit("invitation_queued", { survey_id: surveyConfig.survey_id, position: this.queue.length });
+        } else {
+            this.emit("invitation_replaced", { survey_id: active.survey.survey_id, replaced_by: surveyConfig.survey_id });
+            this.resetActiveInvitation("cancelled");
+            this.activateRequest(request);
+        }
+
+        return request.handle;
+    }
+
+    /**
+     * Cancels a queued or active invitation (handle.cancel()). The next queued one starts.
+     * Returns false if the invitation is no longer queued or active.
      */
-    showInvitationForSurvey(surveyConfig) {
-        if (!surveyConfig) return;
+    cancelInvitation(requestId) {
+        var idx = this.findQueuedRequest(requestId);
+
+        if (idx !== -1) {
+            var queued = this.queue.splice(idx, 1)[0];
+            this.setRequestStatus(queued, "cancelled");
+            this.emit("invitation_cancelled", { survey_id: queued.survey.survey_id, status: "queued" });
+            return true;
+        }
+
+        if (!this.isActiveRequest(requestId)) return false;
+
+        this.emit("invitation_cancelled", { survey_id: this.state.survey.survey_id, status: this.state.status });
+        this.finishActiveInvitation("cancelled");
+        return true;
+    }
 
+    /**
+     * Closes a visible invitation without accepting or declining it (handle.close()).
+     * Queued or pending invitations are cancelled instead.
+     */
+    closeInvitation(requestId) {
+        if (!this.isActiveRequest(requestId) || this.state.status !== "visible") {
+            return this.cancelInvitation(requestId);
+        }
+
+        this.dismissInvitation("invitation_closed", "survey_close", "api");
+        return true;
+    }
+
+    /**
+     * Shows an invitation now (handle.show()): skips the remaining delay/triggers of the
+     * active invitation, or promotes a queued one (replacing the active invitation).
+     * Medallia and its form data are still awaited.
+     */
+    showInvitationNow(requestId) {
+        var idx = this.findQueuedRequest(requestId);
+
+        if (idx !== -1) {
+            var request = this.queue.splice(idx, 1)[0];
+            request.forceShow = true;
+
+            if (this.state.request) {
+                this.emit("invitation_replaced", { survey_id: this.state.survey.survey_id, replaced_by: request.survey.survey_id });
+                this.resetActiveInvitation("cancelled");
+            }
+            this.activateRequest(request);
+            return true;
+        }
+
+        if (!this.isActiveRequest(requestId)) return false;
+        if (this.state.status !== "pending") return true;
+
+        this.state.request.forceShow = true;
+
+        // Markup already created: it is only waiting for its delay or triggers.
+        if (this.state.containerEl) {
+            this.clearShowTimer();
+            this.triggers.stop();
+            this.revealInvitation("manual");
+        }
+        return true;
+    }
+
+    /**
+     * True while an invitation is requested but not shown yet (Medallia, delay or triggers pending).
+     */
+    hasPendingInvitation() {
+        return this.state.status === "pending";
+    }
+
+    /**
+     * True while an invitation is displayed.
+     */
+    isInvitationVisible() {
+        return this.state.status === "visible";
+    }
+
+    /**
+     * Hides current invitation, clears timers and removes every injected node (markup and styles).
+     * Queued invitations are cancelled as well.
+     */
+    teardownInvitation() {
+        while (this.queue.length) this.setRequestStatus(this.queue.shift(), "cancelled");
+        this.resetActiveInvitation("cancelled");
+    }
+
+    /* =========================
+        INVITATION QUEUE
+       ========================= */
+
+    /**
+     * Creates a request and its public handle (methods bound to the request id).
+     */
+    createRequest(surveyConfig) {
+        var id = ++this.requestCounter;
+
+        return {
+            id: id,
+            survey: surveyConfig,
+            forceShow: false,
+            handle: {
+                id: id,
+                survey_id: surveyConfig.survey_id,
+                // "queued" | "pending" | "visible" | "closed" | "cancelled" | "ignored" | "failed"
+                status: "queued",
+                cancel: this.cancelInvitation.bind(this, id),
+                show: this.showInvitationNow.bind(this, id),
+                close: this.closeInvitation.bind(this, id)
+            }
+        };
+    }
+
+    /**
+     * Makes a request the active invitation: resolves its template and waits for Medallia.
+     */
+    activateRequest(request) {
+        var surveyConfig = request.survey;
+
+        this.state.request = request;
         this.state.survey = surveyConfig;
         this.state.invitation = this.resolveInvitationTemplate(surveyConfig);
 
         if (!this.state.invitation) {
             this.log("SURVEY: no invitation provided for display=" + surveyConfig.display);
             this.emit("invitation_missing_template", { survey_id: surveyConfig.survey_id, display: surveyConfig.display });
+            this.finishActiveInvitation("failed");
             return;
         }
 
-        if (!this.loadMedalliaScript()) {
-            this.emit("medallia_loader_failed", {});
-            return;
-        }
+        this.state.status = "pending";
+        this.setRequestStatus(request, "pending");
+        this.getLoader().load().then(this.onMedalliaReady, this.onMedalliaLoadFailed);
+    }
 
-        this.startWhenReady();
+    /**
+     * Ends the active invitation and starts the next queued one (if any).
+     */
+    finishActiveInvitation(status) {
+        this.resetActiveInvitation(status);
+
+        if (this.queue.length) this.activateRequest(this.queue.shift());
     }
 
     /**
-     * Removes/hides current invitation and clears timers.
+     * Clears timers, handlers and injected nodes of the active invitation.
      */
-    teardownInvitation() {
+    resetActiveInvitation(status) {
         this.clearShowTimer();
+        this.clearFormDataTimer();
         this.detachHandlers();
         this.hideInvitation();
+        this.removeInvitationNodes();
+        if (this.state.request) this.setRequestStatus(this.state.request, status);
+        this.state.request = null;
+        this.state.locale = null;
         this.state.survey = null;
         this.state.invitation = null;
         this.state.okEl = null;
         this.state.koEl = null;
+        this.state.closeEl = null;
+        this.state.remindEl = null;
         this.state.containerEl = null;
+        this.state.status = "idle";
+    }
+
+    setRequestStatus(request, status) {
+        request.handle.status = status;
+    }
+
+    isActiveRequest(requestId) {
+        return !!this.state.request && this.state.request.id === requestId;
+    }
+
+    findQueuedRequest(requestId) {
+        for (var i = 0; i < this.queue.length; i++) {
+            if (this.queue[i].id === requestId) return i;
+        }
+        return -1;
     }
 
     /* =========================
@@ -127,63 +432,96 @@ class InvitationRenderer {
        ========================= */
 
     /**
-     * Injects Medallia script if needed. Returns true if request initiated or already present.
+     * Returns the Medallia loader (created on first use, so that setConfig() can still
+     * change the website ID or loader options before loading).
      */
-    loadMedalliaScript() {
-        if (!this.config.medalliaWebsiteId) {
-            this.log("SURVEY: no Medallia websiteID configured - terminating");
-            return false;
+    getLoader() {
+        if (!this.loader) {
+            this.loader = new MedalliaLoader(Object.assign({
+                websiteId: this.config.medalliaWebsiteId,
+                onsiteLoadedEventName: this.config.onsiteLoadedEventName,
+                consent: this.config.consent
+            }, this.config.loaderOptions, {
+                onEvent: this.onLoaderEvent,
+                // log() reads config.logger at call time (later setConfig({ logger }) applies)
+                logger: this.log
+            }));
         }
+        return this.loader;
+    }
 
-        // If Medallia globals already exist, we are effectively "loaded enough".
-        if (typeof KAMPYLE_DATA === "object") return true;
-
-        // Avoid injecting script multiple times.
-        if (this.medalliaScriptRequested) return true;
-
-        this.medalliaScriptRequested = true;
-        this.log("SURVEY: loading Medallia script");
+    /**
+     * Forwards loader events (medallia_load_timeout, medallia_load_error, ...).
+     */
+    onLoaderEvent(type, payload) {
+        this.emit(type, payload);
+    }
 
-        var head = document.head || document.getElementsByTagName("head")[0] || document.documentElement.firstChild;
-        var s = document.createElement("script");
-        s.setAttribute("type", "text/javascript");
-        s.setAttribute("src", "https://nebula-cdn.kampyle.com/we/" + this.config.medalliaWebsiteId + "/onsite/embed.js");
-        s.async = true;
-        head.appendChild(s);
+    /**
+     * Medallia is usable: creates the pending invitation (if still pending) once its
+     * form data is available. Runs once per showInvitationForSurvey() call, also when
+     * Medallia was ready before the call (the loader resolves immediately).
+     */
+    onMedalliaReady() {
+        if (this.state.status !== "pending" || this.state.containerEl || this.state.formDataTimer) return;
 
-        this.emit("medallia_script_injected", { website_id: this.config.medalliaWebsiteId });
-        return true;
+        this.state.formDataDeadline = Date.now() + this.config.formDataTimeoutMs;
+        this.waitForFormData(true);
     }
 
     /**
-     * If KAMPYLE_DATA is ready, creates invitation immediately.
-     * Otherwise, waits for the onsite loaded event.
+     * Creates the invitation as soon as the survey's form data is available,
+     * polling until formDataDeadline. Past the deadline the invitation is dropped.
      */
-    startWhenReady() {
-        if (typeof KAMPYLE_DATA === "object") {
+    waitForFormData(firstCheck) {
+        var survey = this.state.survey;
+        if (!survey) return;
+
+        if (this.hasFormData(survey)) {
             this.log("SURVEY: create invitation");
             this.createInvitation();
             return;
         }
 
-        var eventName = this.config.onsiteLoadedEventName;
-        this.log("SURVEY: scheduling invitation creation at " + eventName + " event");
-
-        if ("addEventListener" in window) {
-            window.addEventListener(eventName, this.onOnsiteLoaded, true);
+        if (Date.now() >= this.state.formDataDeadline) {
+            this.log("SURVEY: Medallia not loaded or form data missing");
+            this.emit("medallia_form_data_missing", { survey_id: survey.survey_id, timeout_ms: this.config.formDataTimeoutMs });
+            this.finishActiveInvitation("failed");
             return;
         }
 
-        if ("attachEvent" in window) {
-            window.attachEvent("on" + eventName, this.onOnsiteLoaded);
+        if (firstCheck) {
+            this.emit("medallia_form_data_waiting", { survey_id: survey.survey_id, timeout_ms: this.config.formDataTimeoutMs });
+        }
+        this.state.formDataTimer = window.setTimeout(this.onFormDataPoll, this.config.formDataPollMs);
+    }
+
+    onFormDataPoll() {
+        this.state.formDataTimer = null;
+        if (this.state.status === "pending") this.waitForFormData(false);
+    }
+
+    hasFormData(survey) {
+        return typeof KAMPYLE_DATA === "object" && KAMPYLE_DATA !== null &&
+            typeof KAMPYLE_DATA.getFormData === "function" && !!KAMPYLE_DATA.getFormData(survey.survey_id);
+    }
+
+    clearFormDataTimer() {
+        if (this.state.formDataTimer) {
+            window.clearTimeout(this.state.formDataTimer);
+            this.state.formDataTimer = null;
         }
     }
 
     /**
-     * On onsite ready event, create invitation.
+     * Medallia could not be loaded: the pending invitation is dropped.
      */
-    onOnsiteLoaded() {
-        this.createInvitation();
+    onMedalliaLoadFailed(error) {
+        if (this.state.status !== "pending" || !this.state.survey) return;
+
+        this.log("SURVEY: Medallia not available - " + (error && error.message));
+        this.emit("medallia_loader_failed", { survey_id: this.state.survey.survey_id, reason: error && error.message });
+        this.finishActiveInvitation("failed");
     }
 
     /* =========================
@@ -191,15 +529,124 @@ class InvitationRenderer {
        ========================= */
 
     /**
-     * Resolves the invitation template based on survey.display.
+     * Resolves the invitation template based on survey.display, localized for the
+     * first locale of the fallback chain that the style defines in `locales`
+     * (e.g. "it-CH" -> "it" -> default). Sets state.locale.
      */
     resolveInvitationTemplate(surveyConfig) {
         if (!surveyConfig || !surveyConfig.display) return null;
-        return this.surveyStyles[surveyConfig.display] || null;
+
+        var style = this.surveyStyles[surveyConfig.display];
+        if (!style) return null;
+
+        this.state.locale = null;
+        if (!style.locales || typeof style.locales !== "object") return style;
+
+        var chain = this.resolveLocaleChain(surveyConfig);
+        var variants = this.indexLocales(style.locales);
+        var resolved = Object.assign({}, style, { strings: Object.assign({}, style.strings) });
+
+        for (var i = 0; i < chain.length; i++) {
+            if (!variants[chain[i]]) continue;
+
+            // Merge from least to most specific: default <- "it" <- "it-ch".
+            var specific = this.getLocaleParents(chain[i]).reverse();
+            for (var j = 0; j < specific.length; j++) {
+                var variant = variants[specific[j]];
+                if (!variant) continue;
+
+                Object.assign(resolved, variant, { strings: Object.assign(resolved.strings, variant.strings) });
+            }
+
+            this.state.locale = variants[chain[i]].locale;
+            break;
+        }
+
+        delete resolved.locales;
+        if (!resolved.dir) resolved.dir = this.isRtlLocale(this.state.locale) ? "rtl" : "ltr";
+
+        return resolved;
     }
 
     /**
-     * Creates invitation DOM only if Medallia form data is available.
+     * Returns the ordered, de-duplicated list of lowercase locales to try:
+     * survey `locale`, renderer `locale`, <html lang>, navigator.languages; each
+     * followed by its parents ("it-ch" -> "it").
+     */
+    resolveLocaleChain(surveyConfig) {
+        var candidates = [];
+        var configured = typeof this.config.locale === "function" ? this.safeCall(this.config.locale) : this.config.locale;
+
+        if (surveyConfig.locale) candidates.push(surveyConfig.locale);
+        if (configured) candidates.push(configured);
+
+        if (!candidates.length) {
+            var htmlLang = document.documentElement && document.documentElement.getAttribute("lang");
+            if (htmlLang) candidates.push(htmlLang);
+
+            if (typeof navigator !== "undefined") {
+                candidates = candidates.concat(navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language]);
+            }
+        }
+
+        var chain = [];
+        for (var i = 0; i < candidates.length; i++) {
+            if (!candidates[i]) continue;
+
+            var parents = this.getLocaleParents(String(candidates[i]).replace(/_/g, "-").toLowerCase());
+            for (var j = 0; j < parents.length; j++) {
+                if (chain.indexOf(parents[j]) === -1) chain.push(parents[j]);
+            }
+        }
+
+        return chain;
+    }
+
+    /**
+     * "it-ch" => ["it-ch", "it"]; "zh-hant-tw" => ["zh-hant-tw", "zh-hant", "zh"].
+     */
+    getLocaleParents(locale) {
+        var parts = locale.split("-");
+        var result = [];
+
+        for (var i = parts.length; i > 0; i--) {
+            result.push(parts.slice(0, i).join("-"));
+        }
+
+        return result;
+    }
+
+    /**
+     * Indexes style.locales by lowercase tag, remembering the original tag for events.
+     */
+    indexLocales(locales) {
+        var index = {};
+        var keys = Object.keys(locales);
+
+        for (var i = 0; i < keys.length; i++) {
+            var tag = keys[i].replace(/_/g, "-").toLowerCase();
+            index[tag] = Object.assign({}, locales[keys[i]], { locale: keys[i] });
+        }
+
+        return index;
+    }
+
+    isRtlLocale(locale) {
+        if (!locale) return false;
+        var language = String(locale).split(/[-_]/)[0].toLowerCase();
+        return ["ar", "he", "iw", "fa", "ur", "ps", "yi", "dv", "ku", "sd", "ug"].indexOf(language) !== -1;
+    }
+
+    safeCall(fn) {
+        try {
+            return fn();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Creates invitation DOM (Medallia form data must be available, see waitForFormData()).
      */
     createInvitation() {
         var survey = this.state.survey;
@@ -207,24 +654,93 @@ class InvitationRenderer {
 
         if (!survey || !inv) return;
 
-        if (!(typeof KAMPYLE_DATA === "object" && typeof KAMPYLE_DATA.getFormData === "function" && KAMPYLE_DATA.getFormData(survey.survey_id))) {
-            this.log("SURVEY: Medallia not loaded or form data missing");
-            this.emit("medallia_form_data_missing", { survey_id: survey.survey_id });
+        var markup = this.renderInvitationMarkup(survey, inv);
+        if (!markup) {
+            this.finishActiveInvitation("failed");
             return;
         }
 
-        this.addStyle(inv.css);
-        this.addDiv(inv.html);
+        // Never stack markup from a previous show (duplicate IDs, leaked nodes).
+        this.detachHandlers();
+        this.removeInvitationNodes();
+        this.mountInvitation(markup, inv);
 
-        this.state.okEl = document.querySelector(inv.ok_selector);
-        this.state.koEl = document.querySelector(inv.ko_selector);
-        this.state.containerEl = document.querySelector(inv.container_selector);
+        this.state.okEl = this.queryInvitation(inv.ok_selector);
+        this.state.koEl = this.queryInvitation(inv.ko_selector);
+        this.state.closeEl = inv.close_selector ? this.queryInvitation(inv.close_selector) : null;
+        this.state.remindEl = inv.remind_selector ? this.queryInvitation(inv.remind_selector) : null;
+        this.state.containerEl = this.queryInvitation(inv.container_selector);
 
-        if (!this.setHandlers()) return;
+        if (!this.setHandlers()) {
+            this.finishActiveInvitation("failed");
+            return;
+        }
 
+        this.applyAccessibility();
         this.showInvitation();
     }
 
+    /**
+     * Renders the template placeholders/conditionals and sanitizes HTML and CSS.
+     * Returns { html, css }, or null after emitting invitation_template_error.
+     */
+    renderInvitationMarkup(survey, inv) {
+        var template = new InvitationTemplate({ strictVars: this.config.strictTemplateVars });
+
+        try {
+            var html = template.render(inv.html, this.getTemplateVars(survey, inv));
+            var css = inv.css || "";
+
+            if (this.config.sanitize) {
+                html = template.sanitizeHtml(html);
+                css = template.sanitizeCss(css);
+            }
+
+            return { html: html, css: css };
+        } catch (e) {
+            this.log("SURVEY: invitation template error - " + (e && e.message));
+            this.emit("invitation_template_error", { survey_id: survey.survey_id, display: survey.display, error: String(e && e.message || e) });
+            return null;
+        }
+    }
+
+    /**
+     * Builds template variables; later sources win:
+     * survey fields < renderer templateVars < style `vars` < survey `template_vars`.
+     * The data layer is available as {{data.*}}.
+     */
+    getTemplateVars(survey, inv) {
+        var vars = {
+            survey_id: survey.survey_id,
+            survey_name: survey.survey_name,
+            display: survey.display,
+            locale: this.state.locale || "",
+            dir: inv.dir || "ltr"
+        };
+
+        Object.assign(vars, this.resolveOption(this.config.templateVars), inv.vars, survey.template_vars);
+        vars.strings = inv.strings || {};
+
+        var dataLayer = this.config.dataLayer === null && typeof window.utag_data === "object" ? window.utag_data : this.resolveOption(this.config.dataLayer);
+        vars.data = dataLayer || {};
+
+        return vars;
+    }
+
+    /**
+     * Returns option values given as objects or as functions returning objects.
+     */
+    resolveOption(option) {
+        if (typeof option === "function") {
+            try {
+                return option() || {};
+            } catch (e) {
+                return {};
+            }
+        }
+        return option && typeof option === "object" ? option : {};
+    }
+
     /**
      * Attaches click handlers to OK/KO elements.
      */
@@ -237,6 +753,13 @@ class InvitationRenderer {
 
         this.state.okEl.addEventListener("click", this.onAcceptClick);
         this.state.koEl.addEventListener("click", this.onDeclineClick);
+
+        // Optional actions: a configured but missing element is reported, not fatal.
+        var inv = this.state.invitation;
+        if (inv.close_selector && !this.state.closeEl) this.emit("invitation_selector_missing", { selector: "close_selector" });
+        if (inv.remind_selector && !this.state.remindEl) this.emit("invitation_selector_missing", { selector: "remind_selector" });
+        if (this.state.closeEl) this.state.closeEl.addEventListener("click", this.onCloseClick);
+        if (this.state.remindEl) this.state.remindEl.addEventListener("click", this.onRemindClick);
         return true;
     }
 
@@ -246,76 +769,360 @@ class InvitationRenderer {
     detachHandlers() {
         if (this.state.okEl) this.state.okEl.removeEventListener("click", this.onAcceptClick);
         if (this.state.koEl) this.state.koEl.removeEventListener("click", this.onDeclineClick);
+        if (this.state.closeEl) this.state.closeEl.removeEventListener("click", this.onCloseClick);
+        if (this.state.remindEl) this.state.remindEl.removeEventListener("click", this.onRemindClick);
     }
 
     /**
-     * Schedules invitation display after a delay and triggers the "invite" event.
+     * Schedules invitation display after a delay (then triggers, if configured).
      */
     showInvitation() {
         if (!this.state.containerEl) return;
 
         this.state.containerEl.style.display = "none";
 
+        // handle.show() called before the markup existed: no delay, no triggers.
+        if (this.state.request && this.state.request.forceShow) {
+            this.revealInvitation("manual");
+            return;
+        }
+
         var delay = this.getDelayMs(this.state.survey);
         this.clearShowTimer();
         this.state.showTimer = window.setTimeout(this.onShowTimeout, delay);
     }
 
     /**
-     * Timeout callback: triggers Medallia custom event and shows UI.
+     * Timeout callback: shows UI right away, or arms the survey's behavioral
+     * triggers (`trigger` config) once the delay has elapsed.
      */
     onShowTimeout() {
         var survey = this.state.survey;
+        this.state.showTimer = null;
 
-        if (typeof KAMPYLE_UTILS === "object" && typeof KAMPYLE_UTILS.triggerCustomEvent === "function") {
-            KAMPYLE_UTILS.triggerCustomEvent("survey_invite", { survey_id: survey.survey_id });
+        if (!survey) return;
+
+        if (!survey.trigger) {
+            this.revealInvitation("delay");
+            return;
+        }
+
+        if (!this.triggers.start(survey.trigger)) {
+            // It could never be shown: free the slot for queued invitations.
+            this.emit("invitation_trigger_invalid", { survey_id: survey.survey_id });
+            this.finishActiveInvitation("failed");
+            return;
         }
 
-        this.emit("invitation_shown", { survey_id: survey.survey_id });
+        this.emit("invitation_triggers_armed", { survey_id: survey.survey_id });
+    }
+
+    /**
+     * A single behavioral trigger fired (the composition may still be pending).
+     */
+    onTriggerFired(triggerType, detail) {
+        if (!this.state.survey) return;
+        this.emit("invitation_trigger_fired", { survey_id: this.state.survey.survey_id, trigger_type: triggerType, detail: detail });
+    }
+
+    /**
+     * A trigger leaf can never fire (e.g. element_visible without selector).
+     */
+    onTriggerInvalid(triggerType, reason) {
+        var survey = this.state.survey;
+        this.emit("invitation_trigger_leaf_invalid", { survey_id: survey ? survey.survey_id : null, trigger_type: triggerType, reason: reason });
+    }
+
+    /**
+     * The trigger composition is satisfied: show the invitation.
+     */
+    onTriggersSatisfied(triggerType) {
+        this.revealInvitation(triggerType || "trigger");
+    }
+
+    /**
+     * Triggers Medallia custom event and shows UI.
+     */
+    revealInvitation(triggerType) {
+        var survey = this.state.survey;
+        if (!survey) return;
+
+        this.triggerMedalliaEvent("survey_invite", survey);
+
+        this.emit("invitation_shown", { survey_id: survey.survey_id, trigger_type: triggerType });
 
         if (this.state.containerEl) {
             this.state.containerEl.style.display = "block";
+            this.state.status = "visible";
+            if (this.state.request) this.setRequestStatus(this.state.request, "visible");
+            this.activateAccessibility();
+            this.startAutoDismiss();
         }
     }
 
     /**
-     * Accept click handler: hides UI, emits events, and opens the Medallia form.
+     * Accept click handler: hides UI, emits events, opens the Medallia form,
+     * then starts the next queued invitation.
      */
     onAcceptClick() {
         var survey = this.state.survey;
         this.hideInvitation();
 
-        if (typeof KAMPYLE_UTILS === "object" && typeof KAMPYLE_UTILS.triggerCustomEvent === "function") {
-            KAMPYLE_UTILS.triggerCustomEvent("survey_accept", { survey_id: survey.survey_id });
-        }
+        this.triggerMedalliaEvent("survey_accept", survey);
 
         this.emit("invitation_accepted", { survey_id: survey.survey_id });
 
-        if (KAMPYLE_ONSITE_SDK && typeof KAMPYLE_ONSITE_SDK.loadForm === "function" && KAMPYLE_ONSITE_SDK.loadForm(survey.survey_id)) {
+        if (typeof KAMPYLE_ONSITE_SDK === "object" && KAMPYLE_ONSITE_SDK && typeof KAMPYLE_ONSITE_SDK.loadForm === "function" && KAMPYLE_ONSITE_SDK.loadForm(survey.survey_id)) {
             KAMPYLE_ONSITE_SDK.showForm(survey.survey_id);
         }
+
+        this.finishActiveInvitation("closed");
     }
 
     /**
-     * Decline click handler: hides UI and emits events.
+     * Decline click handler: hides UI, emits events, then starts the next queued invitation.
      */
     onDeclineClick() {
         var survey = this.state.survey;
         this.hideInvitation();
 
-        if (typeof KAMPYLE_UTILS === "object" && typeof KAMPYLE_UTILS.triggerCustomEvent === "function") {
-            KAMPYLE_UTILS.triggerCustomEvent("survey_reject", { survey_id: survey.survey_id });
-        }
+        this.triggerMedalliaEvent("survey_reject", survey);
 
         this.emit("invitation_declined", { survey_id: survey.survey_id });
+        this.finishActiveInvitation("closed");
+    }
+
+    /**
+     * Close (×) click handler: a dismissal, not a decline.
+     */
+    onCloseClick() {
+        this.dismissInvitation("invitation_closed", "survey_close", "close_button");
+    }
+
+    /**
+     * "Remind me later" click handler: the engine makes the survey eligible again
+     * after remind_after_hours / remind_after_pages.
+     */
+    onRemindClick() {
+        this.dismissInvitation("invitation_remind_later", "survey_remind_later", "remind_button");
+    }
+
+    /**
+     * Auto-dismiss timeout (auto_dismiss_ms, non-modal styles only).
+     */
+    onAutoDismiss() {
+        this.state.autoDismissTimer = null;
+        this.dismissInvitation("invitation_auto_dismissed", "survey_auto_dismiss", "timeout");
+    }
+
+    /**
+     * Hides the invitation without a response, emits the action's events,
+     * then starts the next queued invitation.
+     */
+    dismissInvitation(type, medalliaEvent, source) {
+        var survey = this.state.survey;
+        if (!survey) return;
+
+        this.hideInvitation();
+        this.triggerMedalliaEvent(medalliaEvent, survey);
+        this.emit(type, { survey_id: survey.survey_id, source: source });
+        this.finishActiveInvitation("closed");
+    }
+
+    startAutoDismiss() {
+        var ms = parseInt(this.state.invitation.auto_dismiss_ms, 10);
+        if (isNaN(ms) || ms <= 0) return;
+
+        // A modal dialog must not disappear while the visitor may be reading it.
+        if (this.isModal(this.state.invitation)) {
+            this.log("SURVEY: auto_dismiss_ms ignored for modal invitation");
+            return;
+        }
+
+        this.clearAutoDismiss();
+        this.state.autoDismissTimer = window.setTimeout(this.onAutoDismiss, ms);
+    }
+
+    clearAutoDismiss() {
+        if (this.state.autoDismissTimer) {
+            window.clearTimeout(this.state.autoDismissTimer);
+            this.state.autoDismissTimer = null;
+        }
     }
 
     /**
-     * Hides invitation container and clears timers.
+     * Fires a Medallia custom event (survey_invite, survey_accept, ...) when available.
+     */
+    triggerMedalliaEvent(name, survey) {
+        if (typeof KAMPYLE_UTILS === "object" && typeof KAMPYLE_UTILS.triggerCustomEvent === "function") {
+            KAMPYLE_UTILS.triggerCustomEvent(name, { survey_id: survey.survey_id });
+        }
+    }
+
+    /**
+     * Hides invitation container, clears timers and disarms triggers.
      */
     hideInvitation() {
         this.clearShowTimer();
+        this.clearAutoDismiss();
+        this.triggers.stop();
         if (this.state.containerEl) this.state.containerEl.style.display = "none";
+        if (this.state.status === "visible") this.deactivateAccessibility();
+        if (this.state.survey) this.state.status = "closed";
+    }
+
+    /* =========================
+        ACCESSIBILITY
+       ========================= */
+
+    /**
+     * Applies dialog semantics to the container from the style config:
+     * - role ("dialog" by default, or "alertdialog"), aria-modal (modal !== false)
+     * - aria-labelledby / aria-describedby from label_selector / description_selector,
+     *   or aria-label from aria_label
+     */
+    applyAccessibility() {
+        var inv = this.state.invitation;
+        var el = this.state.containerEl;
+
+        if (inv.dir) el.setAttribute("dir", inv.dir);
+        if (this.state.locale) el.setAttribute("lang", this.state.locale);
+
+        el.setAttribute("role", inv.role || "dialog");
+        el.setAttribute("aria-modal", this.isModal(inv) ? "true" : "false");
+
+        var labelId = this.ensureElementId(inv.label_selector, "label");
+        if (labelId) {
+            el.setAttribute("aria-labelledby", labelId);
+        } else if (inv.aria_label) {
+            el.setAttribute("aria-label", inv.aria_label);
+        }
+
+        var descriptionId = this.ensureElementId(inv.description_selector, "description");
+        if (descriptionId) el.setAttribute("aria-describedby", descriptionId);
+
+        // Allow programmatic focus on the container itself.
+        if (!el.hasAttribute("tabindex")) el.setAttribute("tabindex", "-1");
+    }
+
+    /**
+     * On show: applies the animation (unless reduced motion is preferred),
+     * moves focus into the invitation and starts listening for ESC/Tab.
+     */
+    activateAccessibility() {
+        var inv = this.state.invitation;
+        var el = this.state.containerEl;
+
+        if (this.prefersReducedMotion()) {
+            el.setAttribute("data-reduced-motion", "true");
+        } else if (inv.animation_class) {
+            el.classList.add(inv.animation_class);
+        }
+
+        this.state.previousFocus = document.activeElement && document.activeElement !== document.body ? document.activeElement : null;
+
+        var initial = (inv.initial_focus_selector && el.querySelector(inv.initial_focus_selector)) || this.getFocusableElements()[0] || el;
+        this.focusElement(initial);
+
+        document.addEventListener("keydown", this.onKeyDown, true);
+    }
+
+    /**
+     * On close: stops key handling and restores focus to where it was before the invitation.
+     */
+    deactivateAccessibility() {
+        var inv = this.state.invitation;
+        var el = this.state.containerEl;
+
+        document.removeEventListener("keydown", this.onKeyDown, true);
+        if (el && inv && inv.animation_class) el.classList.remove(inv.animation_class);
+
+        var previous = this.state.previousFocus;
+        this.state.previousFocus = null;
+
+        if (previous && document.documentElement.contains(previous)) this.focusElement(previous);
+    }
+
+    /**
+     * ESC declines the invitation; Tab/Shift+Tab cycle within a modal invitation.
+     */
+    onKeyDown(e) {
+        if (this.state.status !== "visible" || !this.state.survey) return;
+
+        var key = e.key || e.keyCode;
+
+        if (key === "Escape" || key === "Esc" || key === 27) {
+            e.preventDefault();
+            this.emit("invitation_dismissed_escape", { survey_id: this.state.survey.survey_id });
+            this.onDeclineClick();
+            return;
+        }
+
+        if ((key === "Tab" || key === 9) && this.isModal(this.state.invitation)) {
+            this.trapTab(e);
+        }
+    }
+
+    trapTab(e) {
+        var focusables = this.getFocusableElements();
+        var el = this.state.containerEl;
+
+        if (!focusables.length) {
+            e.preventDefault();
+            this.focusElement(el);
+            return;
+        }
+
+        var first = focusables[0];
+        var last = focusables[focusables.length - 1];
+        var active = this.getActiveElement();
+
+        if (e.shiftKey && (active === first || active === el || !el.contains(active))) {
+            e.preventDefault();
+            this.focusElement(last);
+        } else if (!e.shiftKey && (active === last || !el.contains(active))) {
+            e.preventDefault();
+            this.focusElement(first);
+        }
+    }
+
+    getFocusableElements() {
+        var el = this.state.containerEl;
+        if (!el) return [];
+
+        var selector = "a[href], button:not([disabled]), input:not([disabled]):not([type='hidden']), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+        return Array.prototype.slice.call(el.querySelectorAll(selector)).filter(function (node) {
+            return !node.hidden && node.getAttribute("aria-hidden") !== "true";
+        });
+    }
+
+    focusElement(el) {
+        try {
+            el.focus({ preventScroll: true });
+        } catch (e) {
+            // Element not focusable (or detached): ignore.
+        }
+    }
+
+    /**
+     * Returns the id of the element matching selector inside the container, assigning one if needed.
+     */
+    ensureElementId(selector, suffix) {
+        if (!selector) return null;
+
+        var target = this.state.containerEl.querySelector(selector);
+        if (!target) return null;
+
+        if (!target.id) target.id = "neb_invitation_" + this.state.survey.survey_id + "_" + suffix;
+        return target.id;
+    }
+
+    isModal(inv) {
+        return !inv || inv.modal !== false;
+    }
+
+    prefersReducedMotion() {
+        return typeof window.matchMedia === "function" && window.matchMedia("(prefers-reduced-motion: reduce)").matches;
     }
 
     /**
@@ -342,24 +1149,89 @@ class InvitationRenderer {
     }
 
     /**
-     * Adds CSS style tag to the document body.
+     * Injects the invitation markup and styles, inside a shadow root when enabled and supported.
+     */
+    mountInvitation(markup, inv) {
+        var host = document.createElement("div");
+        host.setAttribute("data-neb-invitation", this.state.survey.survey_id);
+        document.body.appendChild(host);
+
+        var useShadow = typeof inv.shadow_dom === "boolean" ? inv.shadow_dom : this.config.useShadowDom;
+
+        if (useShadow && typeof host.attachShadow === "function") {
+            var shadow = host.attachShadow({ mode: "open" });
+            this.state.styleEl = this.addStyle(markup.css, shadow);
+            this.addDiv(markup.html, shadow);
+            this.state.rootEl = shadow;
+        } else {
+            if (useShadow) this.log("SURVEY: shadow DOM not supported, rendering in document");
+            this.state.styleEl = this.addStyle(markup.css, document.body);
+            host.innerHTML = markup.html;
+            this.state.rootEl = host;
+        }
+
+        this.state.hostEl = host;
+    }
+
+    /**
+     * Removes injected nodes (safe no-op if nothing was mounted).
+     */
+    removeInvitationNodes() {
+        var nodes = [this.state.hostEl, this.state.styleEl];
+
+        for (var i = 0; i < nodes.length; i++) {
+            if (nodes[i] && nodes[i].parentNode) nodes[i].parentNode.removeChild(nodes[i]);
+        }
+
+        this.state.hostEl = null;
+        this.state.styleEl = null;
+        this.state.rootEl = null;
+    }
+
+    /**
+     * Looks up an element within the invitation's own root (never the whole document).
+     */
+    queryInvitation(selector) {
+        if (!selector || !this.state.rootEl) return null;
+
+        try {
+            return this.state.rootEl.querySelector(selector);
+        } catch (e) {
+            this.log("SURVEY: invalid selector " + selector);
+            return null;
+        }
+    }
+
+    /**
+     * Returns the focused element, looking inside the shadow root when there is one.
      */
-    addStyle(style) {
-        if (!style) return;
+    getActiveElement() {
+        var root = this.state.rootEl;
+        if (root && root !== this.state.hostEl && root.activeElement) return root.activeElement;
+        return document.activeElement;
+    }
+
+    /**
+     * Adds a CSS style tag to the given parent. Returns the element (or null).
+     */
+    addStyle(style, parent) {
+        if (!style) return null;
         var css = document.createElement("style");
         css.setAttribute("type", "text/css");
         css.innerHTML = style;
-        document.body.appendChild(css);
+        parent.appendChild(css);
+        return css;
     }
 
     /**
-     * Adds invitation HTML to the document body.
+     * Adds invitation HTML to the given parent inside a wrapper div. Returns the wrapper.
      */
-    addDiv(html) {
-        if (!html) return;
+    addDiv(html, parent) {
+        if (!html) return null;
         var div = document.createElement("div");
         div.innerHTML = html;
-        document.body.appendChild(div);
+        parent.appendChild(div);
+        return div;
     }
 
     /* =========================
@@ -370,9 +1242,18 @@ class InvitationRenderer {
      * Emits an event for external tracking/debug.
      */
     emit(type, payload) {
-        if (typeof this.config.onEvent === "function") {
+        var data = payload || {};
+
+        // Invitation events carry the resolved locale for response-rate segmentation.
+        if (data.survey_id && this.state.locale && !data.locale) {
+            data = Object.assign({ locale: this.state.locale }, data);
+        }
+        var targets = [this.config.onEvent].concat(this.listeners);
+
+        for (var i = 0; i < targets.length; i++) {
+            if (typeof targets[i] !== "function") continue;
             try {
-                this.config.onEvent(type, payload || {});
+                targets[i](type, data);
             } catch (e) {
                 // Swallow errors to keep rendering resilient.
             }
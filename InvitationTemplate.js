@@ -0,0 +1,301 @@
+/**
+ * InvitationTemplate
+ * ------------------
+ * Small, safe template layer used by InvitationRenderer that:
+ * - Replaces placeholders: {{survey_name}}, {{data.page_name}} (HTML-escaped)
+ * - Supports conditional blocks: {{#if var}}...{{else}}...{{/if}}, {{#unless var}}...{{/unless}}
+ * - Sanitizes the resulting HTML against an allow-list (no scripts, no event handlers)
+ * - Neutralizes dangerous constructs in CSS
+ *
+ * Errors (unbalanced blocks, unknown block helpers, missing variables in strict mode)
+ * are thrown as Error instances with a descriptive message.
+ */
+class InvitationTemplate {
+    constructor(options) {
+        this.config = {
+            // If true, a placeholder without value is an error instead of an empty string
+            strictVars: false,
+
+            // Elements kept as-is (others are unwrapped, keeping their text)
+            allowedTags: [
+                "a", "abbr", "b", "blockquote", "br", "button", "caption", "code", "div", "em",
+                "fieldset", "figcaption", "figure", "footer", "h1", "h2", "h3", "h4", "h5", "h6",
+                "header", "hr", "i", "img", "label", "legend", "li", "ol", "p", "picture", "section",
+                "small", "source", "span", "strong", "sub", "sup", "table", "tbody", "td", "th",
+                "thead", "tr", "u", "ul"
+            ],
+
+            // Elements removed together with their content
+            droppedTags: ["script", "style", "iframe", "object", "embed", "link", "meta", "base", "form", "frame", "frameset", "template", "noscript", "svg", "math"],
+
+            // Attributes kept (plus any aria-* and data-*)
+            allowedAttributes: [
+                "id", "class", "style", "title", "role", "tabindex", "lang", "dir", "type", "name",
+                "href", "target", "rel", "src", "srcset", "alt", "width", "height", "for", "value", "disabled", "hidden"
+            ]
+        };
+
+        this.setConfig(options || {});
+    }
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        TEMPLATING
+       ========================= */
+
+    /**
+     * Renders a template string with the given variables.
+     *
+     * @param {string} template
+     * @param {object} vars - dotted paths are resolved ({{data.page_name}})
+     * @returns {string}
+     */
+    render(template, vars) {
+        if (!template) return "";
+
+        var tokens = this.tokenize(String(template));
+        var tree = this.parse(tokens);
+        return this.renderNodes(tree, vars || {});
+    }
+
+    /**
+     * Splits a template into text and tag tokens.
+     */
+    tokenize(template) {
+        var tokens = [];
+        var re = /\{\{\s*([#/]?)([\w.]+)?(?:\s+([\w.]+))?\s*\}\}/g;
+        var last = 0;
+        var match;
+
+        while ((match = re.exec(template)) !== null) {
+            if (match.index > last) tokens.push({ type: "text", value: template.slice(last, match.index) });
+
+            if (!match[2]) throw new Error("empty placeholder at position " + match.index);
+
+            if (match[1] === "#") {
+                tokens.push({ type: "open", helper: match[2], arg: match[3], pos: match.index });
+            } else if (match[1] === "/") {
+                tokens.push({ type: "close", helper: match[2], pos: match.index });
+            } else if (match[2] === "else" && !match[3]) {
+                tokens.push({ type: "else", pos: match.index });
+            } else {
+                tokens.push({ type: "var", name: match[2], pos: match.index });
+            }
+
+            last = re.lastIndex;
+        }
+
+        if (last < template.length) tokens.push({ type: "text", value: template.slice(last) });
+
+        for (var i = 0; i < tokens.length; i++) {
+            if (tokens[i].type === "text" && tokens[i].value.indexOf("{{") !== -1) {
+                throw new Error("malformed placeholder near \"" + tokens[i].value.slice(tokens[i].value.indexOf("{{"), tokens[i].value.indexOf("{{") + 30) + "\"");
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Builds a node tree from tokens, validating block nesting.
+     */
+    parse(tokens) {
+        var root = { children: [] };
+        var stack = [root];
+
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            var current = stack[stack.length - 1];
+            var target = current.inElse ? current.elseChildren : current.children;
+
+            if (token.type === "text" || token.type === "var") {
+                target.push(token);
+            } else if (token.type === "open") {
+                if (token.helper !== "if" && token.helper !== "unless") {
+                    throw new Error("unknown block helper '#" + token.helper + "' at position " + token.pos);
+                }
+                if (!token.arg) throw new Error("'#" + token.helper + "' without variable at position " + token.pos);
+
+                var block = { type: "block", helper: token.helper, arg: token.arg, children: [], elseChildren: [], inElse: false, pos: token.pos };
+                target.push(block);
+                stack.push(block);
+            } else if (token.type === "else") {
+                if (stack.length === 1 || current.inElse) throw new Error("unexpected {{else}} at position " + token.pos);
+                current.inElse = true;
+            } else if (token.type === "close") {
+                if (stack.length === 1 || current.helper !== token.helper) {
+                    throw new Error("unexpected {{/" + token.helper + "}} at position " + token.pos);
+                }
+                stack.pop();
+            }
+        }
+
+        if (stack.length > 1) {
+            var open = stack[stack.length - 1];
+            throw new Error("unclosed {{#" + open.helper + " " + open.arg + "}} at position " + open.pos);
+        }
+
+        return root.children;
+    }
+
+    renderNodes(nodes, vars) {
+        var out = "";
+
+        for (var i = 0; i < nodes.length; i++) {
+            var node = nodes[i];
+
+            if (node.type === "text") {
+                out += node.value;
+            } else if (node.type === "var") {
+                var value = this.lookup(vars, node.name);
+                if (value === null || typeof value === "undefined") {
+                    if (this.config.strictVars) throw new Error("missing value for {{" + node.name + "}}");
+                    value = "";
+                }
+                out += this.escapeHtml(value);
+            } else if (node.type === "block") {
+                var truthy = this.isTruthy(this.lookup(vars, node.arg));
+                var show = node.helper === "if" ? truthy : !truthy;
+                out += this.renderNodes(show ? node.children : node.elseChildren, vars);
+            }
+        }
+
+        return out;
+    }
+
+    lookup(vars, path) {
+        if (Object.prototype.hasOwnProperty.call(vars, path)) return vars[path];
+
+        var parts = path.split(".");
+        var current = vars;
+
+        for (var i = 0; i < parts.length; i++) {
+            if (current === null || typeof current !== "object") return undefined;
+            current = current[parts[i]];
+        }
+
+        return current;
+    }
+
+    isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return !!value && value !== "false" && value !== "0";
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    /* =========================
+        SANITIZATION
+       ========================= */
+
+    /**
+     * Returns HTML restricted to the allow-list: dropped elements are removed with their
+     * content, other unknown elements are unwrapped, event handlers and script URLs removed.
+     */
+    sanitizeHtml(html) {
+        if (!html) return "";
+
+        // <template> content is inert: nothing is loaded or executed while parsing.
+        var tpl = document.createElement("template");
+        tpl.innerHTML = String(html);
+
+        this.sanitizeChildren(tpl.content);
+
+        var wrapper = document.createElement("div");
+        wrapper.appendChild(tpl.content.cloneNode(true));
+        return wrapper.innerHTML;
+    }
+
+    sanitizeChildren(parent) {
+        var child = parent.firstChild;
+
+        while (child) {
+            var next = child.nextSibling;
+
+            if (child.nodeType === 1) {
+                this.sanitizeElement(child);
+            } else if (child.nodeType !== 3) {
+                // Comments, processing instructions, ...
+                parent.removeChild(child);
+            }
+
+            child = next;
+        }
+    }
+
+    sanitizeElement(el) {
+        var tag = el.nodeName.toLowerCase();
+        var parent = el.parentNode;
+
+        if (this.config.droppedTags.indexOf(tag) !== -1) {
+            parent.removeChild(el);
+            return;
+        }
+
+        this.sanitizeChildren(el);
+
+        if (this.config.allowedTags.indexOf(tag) === -1) {
+            while (el.firstChild) parent.insertBefore(el.firstChild, el);
+            parent.removeChild(el);
+            return;
+        }
+
+        var attrs = Array.prototype.slice.call(el.attributes);
+        for (var i = 0; i < attrs.length; i++) {
+            if (!this.isAllowedAttribute(attrs[i].name.toLowerCase(), attrs[i].value)) {
+                el.removeAttribute(attrs[i].name);
+            }
+        }
+
+        // Links opening a new window must not expose window.opener.
+        if (tag === "a" && el.getAttribute("target") === "_blank") el.setAttribute("rel", "noopener noreferrer");
+    }
+
+    isAllowedAttribute(name, value) {
+        if (name.indexOf("on") === 0) return false;
+
+        var allowed = this.config.allowedAttributes.indexOf(name) !== -1 || name.indexOf("aria-") === 0 || name.indexOf("data-") === 0;
+        if (!allowed) return false;
+
+        if (name === "href" || name === "src" || name === "srcset") return this.isSafeUrl(value);
+        if (name === "style") return this.isSafeCss(value);
+        return true;
+    }
+
+    isSafeUrl(value) {
+        var url = String(value).replace(/[\s\u0000-\u001f]/g, "").toLowerCase();
+        return !/^(javascript|vbscript|data):/.test(url) || /^data:image\/(png|gif|jpe?g|webp);/.test(url);
+    }
+
+    isSafeCss(value) {
+        return !/expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:|@import/i.test(String(value));
+    }
+
+    /**
+     * Neutralizes CSS constructs able to load or run code, and prevents breaking out of <style>.
+     */
+    sanitizeCss(css) {
+        if (!css) return "";
+
+        return String(css)
+            .replace(/<\/?style[^>]*>/gi, "")
+            .replace(/@import[^;]*;?/gi, "")
+            .replace(/expression\s*\(/gi, "(")
+            .replace(/(javascript|vbscript):/gi, "")
+            .replace(/-moz-binding\s*:[^;}]*/gi, "")
+            .replace(/behavior\s*:[^;}]*/gi, "");
+    }
+}
@@ -0,0 +1,459 @@
+/**
+ * InvitationTriggers
+ * ------------------
+ * Behavioral triggers used by InvitationRenderer to decide WHEN an invitation appears:
+ * - exit_intent:     mouse leaving the viewport (desktop) or a fast scroll-up (touch devices)
+ * - scroll_depth:    page scrolled past a percentage
+ * - inactivity:      no user activity for N seconds
+ * - element_visible: an element enters the viewport (IntersectionObserver)
+ * - custom_event:    a DOM event dispatched by the site
+ * - time_on_page:    visible time on page, accumulated across SPA navigations
+ *
+ * Trigger configuration (survey config `trigger`):
+ *   "exit_intent"
+ *   { type: "scroll_depth", percent: 50 }
+ *   { any: [ { type: "exit_intent" }, { all: [ { type: "time_on_page", seconds: 30 }, { type: "scroll_depth", percent: 60 } ] } ] }
+ *
+ * Each leaf fires once (and stays fired); the invitation is released when the
+ * whole AND/OR composition is satisfied. A leaf missing its required option
+ * (element_visible `selector`, custom_event `name`) is reported and never matches.
+ */
+class InvitationTriggers {
+    constructor(options) {
+        this.config = {
+            // Called when a single trigger fires: (triggerType, detail) => void
+            onFire: null,
+
+            // Called once when the composition is satisfied: (triggerType) => void
+            onSatisfied: null,
+
+            // Called for each leaf that can never fire: (triggerType, reason) => void
+            onInvalid: null,
+
+            // Exit intent on touch devices: minimum scroll-up speed (px/ms) and distance (px)
+            exitScrollSpeed: 1,
+            exitScrollDistance: 100,
+
+            // Polling interval for time_on_page and element_visible fallbacks (ms)
+            pollInterval: 1000,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        // Active trigger tree and cleanup functions of the armed leaves
+        this.root = null;
+        this.cleanups = [];
+        this.arming = false;
+        this.lastFiredType = null;
+
+        // Visible time on page, kept for the lifetime of the instance (i.e. across SPA navigations)
+        this.visibleMs = 0;
+        this.visibleSince = this.isDocumentVisible() ? Date.now() : null;
+
+        this.onVisibilityChange = this.onVisibilityChange.bind(this);
+        if (typeof document !== "undefined" && document.addEventListener) {
+            document.addEventListener("visibilitychange", this.onVisibilityChange);
+        }
+    }
+
+    /* =========================
+        PUBLIC API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /**
+     * Arms the triggers described by triggerConfig. Any previously armed triggers are stopped.
+     * Returns false if the configuration is empty or invalid.
+     */
+    start(triggerConfig) {
+        this.stop();
+
+        var root = this.buildNode(triggerConfig);
+        if (!root || !this.canBeSatisfied(root)) {
+            this.log("SURVEY: invalid invitation trigger configuration");
+            return false;
+        }
+
+        // Some triggers may already fire while arming (e.g. scroll depth): evaluate once all are armed.
+        this.root = root;
+        this.arming = true;
+        this.lastFiredType = null;
+        this.armNode(root);
+        this.arming = false;
+
+        this.evaluate(this.lastFiredType);
+        return true;
+    }
+
+    /**
+     * Disarms all triggers and removes their listeners.
+     */
+    stop() {
+        var cleanups = this.cleanups;
+        this.cleanups = [];
+        this.root = null;
+
+        for (var i = 0; i < cleanups.length; i++) {
+            try {
+                cleanups[i]();
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+
+    /**
+     * Stops triggers and the visibility listener (call when the owner is destroyed).
+     */
+    destroy() {
+        this.stop();
+        if (typeof document !== "undefined" && document.removeEventListener) {
+            document.removeEventListener("visibilitychange", this.onVisibilityChange);
+        }
+    }
+
+    /**
+     * Returns the accumulated visible time on page in ms.
+     */
+    getTimeOnPageMs() {
+        return this.visibleMs + (this.visibleSince ? Date.now() - this.visibleSince : 0);
+    }
+
+    /* =========================
+        TRIGGER TREE
+       ========================= */
+
+    /**
+     * Normalizes a configuration into { kind: "all"|"any"|"leaf", children|type, options, fired, invalid }.
+     */
+    buildNode(cfg) {
+        if (typeof cfg === "string") cfg = { type: cfg };
+        if (!cfg || typeof cfg !== "object") return null;
+
+        if (Array.isArray(cfg.all) || Array.isArray(cfg.any)) {
+            var kind = Array.isArray(cfg.all) ? "all" : "any";
+            var children = cfg[kind].map(this.buildNode, this).filter(Boolean);
+            return children.length ? { kind: kind, children: children } : null;
+        }
+
+        if (!this.getLeafSetup(cfg.type)) return null;
+
+        var node = { kind: "leaf", type: cfg.type, options: cfg, fired: false, invalid: false };
+        var missing = this.getMissingOption(cfg);
+        if (missing) {
+            node.invalid = true;
+            this.log("SURVEY: " + cfg.type + " trigger without " + missing + " - never matches");
+            this.callHook("onInvalid", cfg.type, "missing_" + missing);
+        }
+        return node;
+    }
+
+    /**
+     * Required option a leaf lacks ("selector", "name"), or null.
+     */
+    getMissingOption(cfg) {
+        if (cfg.type === "element_visible" && !cfg.selector) return "selector";
+        if (cfg.type === "custom_event" && !cfg.name) return "name";
+        return null;
+    }
+
+    /**
+     * False when invalid leaves make the composition impossible to satisfy.
+     */
+    canBeSatisfied(node) {
+        if (node.kind === "leaf") return !node.invalid;
+        if (node.kind === "all") return node.children.every(this.canBeSatisfied, this);
+        return node.children.some(this.canBeSatisfied, this);
+    }
+
+    armNode(node) {
+        if (node.kind !== "leaf") {
+            node.children.forEach(this.armNode, this);
+            return;
+        }
+        if (node.invalid) return;
+
+        var cleanup = this.getLeafSetup(node.type).call(this, node);
+        if (typeof cleanup === "function") this.cleanups.push(cleanup);
+    }
+
+    isSatisfied(node) {
+        if (node.kind === "leaf") return node.fired;
+        if (node.kind === "all") return node.children.every(this.isSatisfied, this);
+        return node.children.some(this.isSatisfied, this);
+    }
+
+    /**
+     * Marks a leaf as fired, notifies, and releases the invitation if the tree is satisfied.
+     */
+    fireLeaf(node, detail) {
+        if (node.fired || !this.root) return;
+        node.fired = true;
+
+        this.lastFiredType = node.type;
+        this.callHook("onFire", node.type, detail || {});
+        if (!this.arming) this.evaluate(node.type);
+    }
+
+    evaluate(lastType) {
+        if (!this.root || !this.isSatisfied(this.root)) return;
+
+        this.stop();
+        this.callHook("onSatisfied", lastType);
+    }
+
+    getLeafSetup(type) {
+        var setups = {
+            exit_intent: this.setupExitIntent,
+            scroll_depth: this.setupScrollDepth,
+            inactivity: this.setupInactivity,
+            element_visible: this.setupElementVisible,
+            custom_event: this.setupCustomEvent,
+            time_on_page: this.setupTimeOnPage
+        };
+        return setups[type] || null;
+    }
+
+    /* =========================
+        LEAF TRIGGERS
+       ========================= */
+
+    /**
+     * Desktop: mouse leaves through the top of the viewport.
+     * Touch devices: fast scroll-up (a common "going back" gesture).
+     */
+    setupExitIntent(node) {
+        var speed = Number(node.options.scroll_speed) || this.config.exitScrollSpeed;
+        var distance = Number(node.options.scroll_distance) || this.config.exitScrollDistance;
+        var state = { y: this.getScrollTop(), t: Date.now(), startY: this.getScrollTop() };
+
+        var onMouseOut = this.onExitMouseOut.bind(this, node);
+        var onScroll = this.onExitScroll.bind(this, node, state, speed, distance);
+
+        document.addEventListener("mouseout", onMouseOut);
+        if (this.isTouchDevice()) window.addEventListener("scroll", onScroll, { passive: true });
+
+        return function () {
+            document.removeEventListener("mouseout", onMouseOut);
+            window.removeEventListener("scroll", onScroll);
+        };
+    }
+
+    onExitMouseOut(node, e) {
+        var to = e.relatedTarget || e.toElement;
+        if (!to && e.clientY <= 0) this.fireLeaf(node, { source: "mouse" });
+    }
+
+    onExitScroll(node, state, speed, distance) {
+        var y = this.getScrollTop();
+        var t = Date.now();
+
+        if (y >= state.y) {
+            // Scrolling down (or still): restart the scroll-up measurement.
+            state.startY = y;
+        } else {
+            var elapsed = Math.max(t - state.t, 1);
+            if ((state.y - y) / elapsed >= speed && state.startY - y >= distance) {
+                this.fireLeaf(node, { source: "scroll_up" });
+            }
+        }
+
+        state.y = y;
+        state.t = t;
+    }
+
+    setupScrollDepth(node) {
+        var percent = Number(node.options.percent);
+        if (isNaN(percent)) percent = 50;
+
+        var check = this.checkScrollDepth.bind(this, node, percent);
+        window.addEventListener("scroll", check, { passive: true });
+        window.addEventListener("resize", check);
+        check();
+
+        return function () {
+            window.removeEventListener("scroll", check);
+            window.removeEventListener("resize", check);
+        };
+    }
+
+    checkScrollDepth(node, percent) {
+        var doc = document.documentElement;
+        var body = document.body;
+        var height = Math.max(doc.scrollHeight, body ? body.scrollHeight : 0);
+        var viewport = window.innerHeight || doc.clientHeight;
+        var depth = height > 0 ? Math.min(100, (this.getScrollTop() + viewport) / height * 100) : 100;
+
+        if (depth >= percent) this.fireLeaf(node, { percent: percent, depth: Math.round(depth) });
+    }
+
+    setupInactivity(node) {
+        var seconds = Number(node.options.seconds);
+        if (isNaN(seconds) || seconds <= 0) seconds = 30;
+
+        var state = { timer: null };
+        var events = ["mousemove", "keydown", "scroll", "touchstart", "click"];
+        var reset = this.resetInactivity.bind(this, node, state, seconds);
+
+        events.forEach(function (name) { document.addEventListener(name, reset, { passive: true }); });
+        reset();
+
+        return function () {
+            window.clearTimeout(state.timer);
+            events.forEach(function (name) { document.removeEventListener(name, reset); });
+        };
+    }
+
+    resetInactivity(node, state, seconds) {
+        window.clearTimeout(state.timer);
+        state.timer = window.setTimeout(this.fireLeaf.bind(this, node, { seconds: seconds }), seconds * 1000);
+    }
+
+    /**
+     * Uses IntersectionObserver when available; otherwise polls the element's bounding box.
+     * The element may be rendered after arming (SPA), so it is looked up until found.
+     */
+    setupElementVisible(node) {
+        var selector = node.options.selector;
+        var threshold = Number(node.options.threshold);
+        if (isNaN(threshold)) threshold = 0;
+
+        var state = { observer: null, element: null, timer: null };
+        var poll = this.checkElementVisible.bind(this, node, state, selector, threshold);
+
+        state.timer = window.setInterval(poll, this.config.pollInterval);
+        poll();
+
+        return function () {
+            window.clearInterval(state.timer);
+            if (state.observer) state.observer.disconnect();
+        };
+    }
+
+    checkElementVisible(node, state, selector, threshold) {
+        if (!state.element) state.element = document.querySelector(selector);
+        if (!state.element) return;
+
+        if (typeof IntersectionObserver === "function") {
+            // Element found: hand over to the observer and stop polling.
+            window.clearInterval(state.timer);
+            if (!state.observer) {
+                state.observer = new IntersectionObserver(this.onIntersection.bind(this, node, selector, threshold), { threshold: threshold });
+                state.observer.observe(state.element);
+            }
+            return;
+        }
+
+        var rect = state.element.getBoundingClientRect();
+        var viewport = window.innerHeight || document.documentElement.clientHeight;
+        var visible = Math.max(0, Math.min(rect.bottom, viewport) - Math.max(rect.top, 0));
+        var ratio = rect.height > 0 ? visible / rect.height : 0;
+
+        if (visible > 0 && ratio >= threshold) this.fireLeaf(node, { selector: selector, ratio: ratio });
+    }
+
+    onIntersection(node, selector, threshold, entries) {
+        for (var i = 0; i < entries.length; i++) {
+            if (entries[i].isIntersecting && entries[i].intersectionRatio >= threshold) {
+                this.fireLeaf(node, { selector: selector, ratio: entries[i].intersectionRatio });
+                return;
+            }
+        }
+    }
+
+    setupCustomEvent(node) {
+        var name = node.options.name;
+        var target = node.options.target === "window" ? window : document;
+        var handler = this.onCustomEvent.bind(this, node, name);
+        target.addEventListener(name, handler);
+
+        return function () {
+            target.removeEventListener(name, handler);
+        };
+    }
+
+    onCustomEvent(node, name, e) {
+        this.fireLeaf(node, { name: name, detail: e && e.detail });
+    }
+
+    setupTimeOnPage(node) {
+        var seconds = Number(node.options.seconds);
+        if (isNaN(seconds) || seconds < 0) seconds = 30;
+
+        var check = this.checkTimeOnPage.bind(this, node, seconds);
+        var timer = window.setInterval(check, this.config.pollInterval);
+        check();
+
+        return function () {
+            window.clearInterval(timer);
+        };
+    }
+
+    checkTimeOnPage(node, seconds) {
+        var ms = this.getTimeOnPageMs();
+        if (ms >= seconds * 1000) this.fireLeaf(node, { seconds: seconds, time_on_page_ms: ms });
+    }
+
+    /* =========================
+        UTILS
+       ========================= */
+
+    onVisibilityChange() {
+        if (this.isDocumentVisible()) {
+            if (!this.visibleSince) this.visibleSince = Date.now();
+            return;
+        }
+
+        if (this.visibleSince) {
+            this.visibleMs += Date.now() - this.visibleSince;
+            this.visibleSince = null;
+        }
+    }
+
+    isDocumentVisible() {
+        return typeof document === "undefined" || document.visibilityState !== "hidden";
+    }
+
+    isTouchDevice() {
+        if (typeof window === "undefined") return false;
+        if (typeof window.matchMedia === "function" && window.matchMedia("(pointer: coarse)").matches) return true;
+        return "ontouchstart" in window;
+    }
+
+    getScrollTop() {
+        if (typeof window === "undefined") return 0;
+        return window.pageYOffset || (document.documentElement && document.documentElement.scrollTop) || 0;
+    }
+
+    callHook(name, a, b) {
+        if (typeof this.config[name] === "function") {
+            try {
+                this.config[name](a, b);
+            } catch (e) {
+                // Swallow errors to keep triggers resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
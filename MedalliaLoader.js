@@ -0,0 +1,488 @@
+/**
+ * MedalliaLoader
+ * --------------
+ * Loader for the Medallia (Kampyle/Nebula) embed.js that:
+ * - Returns a Promise resolved when KAMPYLE_DATA / KAMPYLE_ONSITE_SDK are usable
+ * - Fails after a configurable timeout instead of waiting forever
+ * - Retries blocked/failed downloads a bounded number of times, with exponential backoff
+ * - Sets CSP nonce and Subresource Integrity attributes on the injected script
+ * - Loads from a configurable CDN base URL (EU/US data centres, local stub)
+ * - Optionally waits for consent (ConsentGate.js) before injecting anything
+ *
+ * Events: medallia_load_deferred, medallia_script_injected, medallia_script_shared, medallia_loaded, medallia_load_error,
+ * medallia_load_timeout, medallia_load_retry, medallia_load_failed.
+ */
+class MedalliaLoader {
+    constructor(options) {
+        this.config = {
+            // Medallia website ID (required)
+            websiteId: "",
+
+            // CDN base URL; the script is loaded from <cdnBaseUrl>/we/<websiteId>/onsite/embed.js
+            cdnBaseUrl: "https://nebula-cdn.kampyle.com",
+
+            // Event name fired by Medallia when onsite is ready
+            onsiteLoadedEventName: "neb_OnsiteLoaded",
+
+            // Max time per attempt, from injection to readiness (ms)
+            timeoutMs: 10000,
+
+            // Additional attempts after a failed/blocked download (0 => no retry)
+            retries: 2,
+
+            // Delay before the first retry (ms), multiplied by backoffFactor on each retry
+            retryDelayMs: 1000,
+            backoffFactor: 2,
+
+            // Interval used to detect readiness when the onsite event is missed (ms)
+            pollIntervalMs: 100,
+
+            // CSP nonce and Subresource Integrity hash for the script tag ("" => not set)
+            nonce: "",
+            integrity: "",
+
+            // crossorigin attribute (required by browsers when integrity is set)
+            crossOrigin: "anonymous",
+
+            // Consent gate (ConsentGate.js, or any object with its gate contract: isGranted(),
+            // addListener(fn)): the script is injected only once it is granted
+            consent: null,
+
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        // Shared promise for the current load (null => not requested, or last load failed)
+        this.promise = null;
+        this.resolvePromise = null;
+        this.rejectPromise = null;
+
+        this.attempt = 0;
+        this.startedAt = 0;
+        this.scriptEl = null;
+        this.scriptLoaded = false;
+        this.timeoutTimer = null;
+
+        // embed.js tag injected by someone else (tag manager, another renderer instance), while waited on
+        this.foreignScriptEl = null;
+        this.waitedForForeignScript = false;
+        this.pollTimer = null;
+        this.retryTimer = null;
+
+        // Pending wait for consent (see waitForConsent())
+        this.consentResolve = null;
+        this.consentUnsubscribe = null;
+
+        // Bind handlers (no nested functions)
+        this.startLoad = this.startLoad.bind(this);
+        this.createLoadPromise = this.createLoadPromise.bind(this);
+        this.waitForConsent = this.waitForConsent.bind(this);
+        this.onConsentChange = this.onConsentChange.bind(this);
+        this.onScriptLoad = this.onScriptLoad.bind(this);
+        this.onScriptError = this.onScriptError.bind(this);
+        this.onForeignScriptLoad = this.onForeignScriptLoad.bind(this);
+        this.onForeignScriptError = this.onForeignScriptError.bind(this);
+        this.onOnsiteLoaded = this.onOnsiteLoaded.bind(this);
+        this.onTimeout = this.onTimeout.bind(this);
+        this.onPoll = this.onPoll.bind(this);
+        this.injectScript = this.injectScript.bind(this);
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        PUBLIC LOADING API
+       ========================= */
+
+    /**
+     * Loads Medallia once. Concurrent calls share the same promise; after a failure,
+     * the next call starts a new load.
+     *
+     * @returns {Promise} resolved when Medallia is usable, rejected with an Error otherwise
+     */
+    load() {
+        if (this.promise) return this.promise;
+
+        var gate = this.config.consent;
+        if (gate && typeof gate.isGranted === "function" && !gate.isGranted()) {
+            // Not cached: the gate is asked again on the next load().
+            if (typeof gate.addListener !== "function") {
+                this.log("SURVEY: consent gate cannot notify (no addListener) - Medallia not loaded");
+                return Promise.reject(new Error("consent gate has no addListener()"));
+            }
+
+            this.log("SURVEY: Medallia loading deferred until consent is granted");
+            this.emit("medallia_load_deferred", { website_id: this.config.websiteId, reason: "consent" });
+            this.promise = new Promise(this.waitForConsent).then(this.createLoadPromise);
+        } else {
+            this.promise = this.createLoadPromise();
+        }
+
+        return this.promise;
+    }
+
+    createLoadPromise() {
+        return new Promise(this.startLoad);
+    }
+
+    /**
+     * Promise executor: resolved on the gate's next grant (addListener() of the gate contract).
+     */
+    waitForConsent(resolve) {
+        this.consentResolve = resolve;
+        this.consentUnsubscribe = this.config.consent.addListener(this.onConsentChange);
+    }
+
+    onConsentChange(granted) {
+        if (!granted || !this.consentResolve) return;
+
+        var resolve = this.consentResolve;
+        this.consentResolve = null;
+        if (typeof this.consentUnsubscribe === "function") this.consentUnsubscribe();
+        this.consentUnsubscribe = null;
+
+        resolve();
+    }
+
+    /**
+     * True when the Medallia globals are usable.
+     */
+    isReady() {
+        return typeof KAMPYLE_DATA === "object" && KAMPYLE_DATA !== null &&
+            typeof KAMPYLE_ONSITE_SDK === "object" && KAMPYLE_ONSITE_SDK !== null;
+    }
+
+    /**
+     * Returns the embed.js URL for the configured CDN and website ID.
+     */
+    getScriptUrl() {
+        return String(this.config.cdnBaseUrl).replace(/\/+$/, "") + "/we/" + encodeURIComponent(this.config.websiteId) + "/onsite/embed.js";
+    }
+
+    /* =========================
+        LOAD FLOW
+       ========================= */
+
+    /**
+     * Promise executor: resolves immediately if Medallia is already usable.
+     */
+    startLoad(resolve, reject) {
+        this.resolvePromise = resolve;
+        this.rejectPromise = reject;
+        this.attempt = 0;
+        this.waitedForForeignScript = false;
+        this.startedAt = Date.now();
+
+        if (this.isReady()) {
+            this.succeed();
+            return;
+        }
+
+        if (!this.config.websiteId) {
+            this.log("SURVEY: no Medallia websiteID configured - terminating");
+            this.fail(new Error("no Medallia websiteID configured"));
+            return;
+        }
+
+        // Medallia may also be embedded by someone else: readiness is detected either way.
+        if ("addEventListener" in window) {
+            window.addEventListener(this.config.onsiteLoadedEventName, this.onOnsiteLoaded, true);
+        }
+
+        var existing = this.findExistingScript();
+        if (existing) {
+            this.waitForExistingScript(existing);
+            return;
+        }
+
+        this.injectScript();
+    }
+
+    /**
+     * Returns the embed.js tag already in the page (e.g. injected by another
+     * renderer instance or by the tag manager), or null.
+     */
+    findExistingScript() {
+        var scripts = document.getElementsByTagName("script");
+        var url = this.getScriptUrl();
+
+        for (var i = 0; i < scripts.length; i++) {
+            if (scripts[i].getAttribute("src") === url) return scripts[i];
+        }
+        return null;
+    }
+
+    /**
+     * Waits (with the same timeout) for a script already in the page. Our own downloaded tag
+     * is never injected again; a foreign tag that fails or does not load in time (blocked,
+     * or loaded before we listened) is replaced by our own injection.
+     */
+    waitForExistingScript(el) {
+        this.attempt++;
+
+        if (el === this.scriptEl && this.scriptLoaded) {
+            this.log("SURVEY: Medallia script already downloaded - waiting for it");
+        } else {
+            this.scriptLoaded = false;
+            this.waitedForForeignScript = true;
+            this.foreignScriptEl = el;
+            el.addEventListener("load", this.onForeignScriptLoad);
+            el.addEventListener("error", this.onForeignScriptError);
+            this.log("SURVEY: Medallia script already requested - waiting for it");
+        }
+
+        this.emit("medallia_script_shared", { website_id: this.config.websiteId, url: this.getScriptUrl() });
+
+        this.timeoutTimer = window.setTimeout(this.onTimeout, this.config.timeoutMs);
+        this.pollTimer = window.setTimeout(this.onPoll, this.config.pollIntervalMs);
+    }
+
+    /**
+     * Injects embed.js for the next attempt and arms the timeout.
+     */
+    injectScript() {
+        this.retryTimer = null;
+        this.attempt++;
+        this.scriptLoaded = false;
+
+        var url = this.getScriptUrl();
+        this.log("SURVEY: loading Medallia script (attempt " + this.attempt + ")");
+
+        var head = document.head || document.getElementsByTagName("head")[0] || document.documentElement.firstChild;
+        var s = document.createElement("script");
+        s.setAttribute("type", "text/javascript");
+        s.setAttribute("src", url);
+        s.async = true;
+
+        if (this.config.nonce) {
+            s.setAttribute("nonce", this.config.nonce);
+            s.nonce = this.config.nonce;
+        }
+        if (this.config.integrity) {
+            s.setAttribute("integrity", this.config.integrity);
+            s.setAttribute("crossorigin", this.config.crossOrigin || "anonymous");
+        }
+
+        s.onload = this.onScriptLoad;
+        s.onerror = this.onScriptError;
+
+        this.scriptEl = s;
+        head.appendChild(s);
+
+        this.timeoutTimer = window.setTimeout(this.onTimeout, this.config.timeoutMs);
+        this.emit("medallia_script_injected", { website_id: this.config.websiteId, url: url, attempt: this.attempt });
+    }
+
+    /**
+     * Script downloaded: Medallia still initializes asynchronously, wait for readiness.
+     */
+    onScriptLoad() {
+        this.scriptLoaded = true;
+        if (this.isReady()) {
+            this.succeed();
+            return;
+        }
+        this.pollTimer = window.setTimeout(this.onPoll, this.config.pollIntervalMs);
+    }
+
+    onForeignScriptLoad() {
+        this.detachForeignScript();
+        this.onScriptLoad();
+    }
+
+    onForeignScriptError() {
+        this.emit("medallia_load_error", { website_id: this.config.websiteId, url: this.getScriptUrl(), attempt: this.attempt, foreign: true });
+        this.fallBackToInjection();
+    }
+
+    /**
+     * The foreign tag is dead (failed, blocked, or never reported loading in time): it is
+     * removed so it is not waited on again, and our own script is injected right away.
+     */
+    fallBackToInjection() {
+        var el = this.foreignScriptEl;
+        this.clearAttempt();
+        if (el && el.parentNode) el.parentNode.removeChild(el);
+
+        this.log("SURVEY: Medallia script requested elsewhere did not load - injecting our own");
+        this.emit("medallia_load_retry", { website_id: this.config.websiteId, attempt: this.attempt + 1, delay_ms: 0, reason: "foreign_script" });
+        this.injectScript();
+    }
+
+    onPoll() {
+        this.pollTimer = null;
+        if (this.isReady()) {
+            this.succeed();
+            return;
+        }
+        this.pollTimer = window.setTimeout(this.onPoll, this.config.pollIntervalMs);
+    }
+
+    onOnsiteLoaded() {
+        if (this.resolvePromise) this.succeed();
+    }
+
+    /**
+     * Download failed (blocked by an ad blocker, CSP, SRI mismatch, network error).
+     */
+    onScriptError() {
+        this.emit("medallia_load_error", { website_id: this.config.websiteId, url: this.getScriptUrl(), attempt: this.attempt });
+        this.retryOrFail(new Error("Medallia script failed to load"));
+    }
+
+    /**
+     * No readiness within timeoutMs. A downloaded script still initializing is not injected
+     * again (it would initialize Medallia twice): only pending downloads are retried, and a
+     * pending foreign tag falls back to our own injection.
+     */
+    onTimeout() {
+        this.timeoutTimer = null;
+        this.emit("medallia_load_timeout", {
+            website_id: this.config.websiteId,
+            attempt: this.attempt,
+            timeout_ms: this.config.timeoutMs,
+            script_loaded: this.scriptLoaded
+        });
+
+        if (this.scriptLoaded) {
+            this.fail(new Error("Medallia did not become ready within " + this.config.timeoutMs + "ms"));
+            return;
+        }
+
+        if (this.foreignScriptEl) {
+            this.fallBackToInjection();
+            return;
+        }
+
+        this.retryOrFail(new Error("Medallia script timed out after " + this.config.timeoutMs + "ms"));
+    }
+
+    retryOrFail(error) {
+        this.clearAttempt();
+
+        // Waiting on a foreign tag does not use up the retries of our own downloads.
+        var downloads = this.attempt - (this.waitedForForeignScript ? 1 : 0);
+        if (downloads > this.config.retries) {
+            this.fail(error);
+            return;
+        }
+
+        var delay = this.config.retryDelayMs * Math.pow(this.config.backoffFactor, this.attempt - 1);
+        this.emit("medallia_load_retry", { website_id: this.config.websiteId, attempt: this.attempt + 1, delay_ms: delay });
+        this.retryTimer = window.setTimeout(this.injectScript, delay);
+    }
+
+    succeed() {
+        var resolve = this.resolvePromise;
+        this.settle();
+
+        this.emit("medallia_loaded", { website_id: this.config.websiteId, attempts: this.attempt, duration_ms: Date.now() - this.startedAt });
+        resolve();
+    }
+
+    fail(error) {
+        var reject = this.rejectPromise;
+        this.settle();
+
+        // A downloaded embed.js stays: removing it would make the next load() inject it again.
+        if (!this.scriptLoaded) this.removeScript();
+
+        // Allow a later load() to start over.
+        this.promise = null;
+
+        this.emit("medallia_load_failed", { website_id: this.config.websiteId, attempts: this.attempt, reason: error.message });
+        reject(error);
+    }
+
+    settle() {
+        this.clearAttempt();
+        if (this.retryTimer) {
+            window.clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        if ("removeEventListener" in window) {
+            window.removeEventListener(this.config.onsiteLoadedEventName, this.onOnsiteLoaded, true);
+        }
+        this.resolvePromise = null;
+        this.rejectPromise = null;
+    }
+
+    /**
+     * Clears the timers and handlers of the current attempt (a failed script tag is removed).
+     */
+    clearAttempt() {
+        if (this.timeoutTimer) {
+            window.clearTimeout(this.timeoutTimer);
+            this.timeoutTimer = null;
+        }
+        if (this.pollTimer) {
+            window.clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.detachForeignScript();
+        if (this.scriptEl) {
+            this.scriptEl.onload = null;
+            this.scriptEl.onerror = null;
+            if (!this.scriptLoaded) this.removeScript();
+        }
+    }
+
+    detachForeignScript() {
+        if (!this.foreignScriptEl) return;
+        this.foreignScriptEl.removeEventListener("load", this.onForeignScriptLoad);
+        this.foreignScriptEl.removeEventListener("error", this.onForeignScriptError);
+        this.foreignScriptEl = null;
+    }
+
+    removeScript() {
+        if (this.scriptEl && this.scriptEl.parentNode) {
+            this.scriptEl.parentNode.removeChild(this.scriptEl);
+        }
+        this.scriptEl = null;
+    }
+
+    /* =========================
+        EVENT / LOG HELPERS
+       ========================= */
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep loading resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
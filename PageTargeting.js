@@ -0,0 +1,463 @@
+/**
+ * PageTargeting
+ * -------------
+ * Declarative targeting layer that:
+ * - Evaluates JSON rules against a page context (page name, URL, query, referrer, data layer)
+ * - Produces the candidate survey IDs to pass to SurveyEngine.chooseSurvey()
+ * - Emits events explaining why each rule did or did not match (no Tealium dependency)
+ *
+ * IMPORTANT:
+ * - It does NOT sample, quarantine or choose surveys.
+ * - The page context is supplied by the caller; buildPageContext() only provides defaults.
+ *
+ * Rule shape:
+ *   {
+ *     id: "mothers_day",
+ *     candidates: ["1234"],
+ *     enabled: true,
+ *     when: {
+ *       all: [
+ *         { page_name: { prefix: "Landing:Festa della mamma" } },
+ *         { path: "/landing/**" },
+ *         { query: { utm_source: ["newsletter", "push"] } },
+ *         { not: { referrer: { regex: "google\\." } } },
+ *         { data: { "user.type": "premium" } }
+ *       ]
+ *     }
+ *   }
+ */
+class PageTargeting {
+    constructor(options) {
+        this.config = {
+            // If true, stops at the first matching rule instead of merging candidates
+            // from every matching rule (in rule order).
+            stopOnFirstMatch: false,
+
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        // Targeting rules, evaluated in order
+        this.rules = [];
+
+        // Compiled regular expressions keyed by "flags/source"
+        this.regexCache = {};
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    setRules(rules) {
+        this.rules = Array.isArray(rules) ? rules : [];
+        return this;
+    }
+
+    /* =========================
+        PUBLIC TARGETING API
+       ========================= */
+
+    /**
+     * Evaluates all rules against the page context and returns candidate survey IDs.
+     *
+     * @param {object} [pageContext] - see buildPageContext(); defaults to the current page
+     * @returns {Array<string>} - de-duplicated candidate IDs, in rule order
+     */
+    getCandidates(pageContext) {
+        var ctx = pageContext || this.buildPageContext();
+        var candidates = [];
+
+        for (var i = 0; i < this.rules.length; i++) {
+            var rule = this.rules[i];
+            if (!rule || typeof rule !== "object") continue;
+
+            var ruleId = this.getRuleId(rule, i);
+
+            if (rule.enabled === false) {
+                this.emit("targeting_rule_disabled", { rule_id: ruleId });
+                continue;
+            }
+
+            var result = this.evaluateCondition(rule.when || {}, ctx);
+
+            if (!result.matched) {
+                this.emit("targeting_rule_not_matched", { rule_id: ruleId, page_name: ctx.pageName, reason: result.reason });
+                this.log("SURVEY: targeting rule " + ruleId + " not matched (" + result.reason + ")");
+                continue;
+            }
+
+            var ids = this.normalizeIds(rule.candidates);
+            this.emit("targeting_rule_matched", { rule_id: ruleId, page_name: ctx.pageName, candidates: ids, reason: result.reason });
+            this.log("SURVEY: targeting rule " + ruleId + " matched (" + result.reason + ")");
+
+            for (var j = 0; j < ids.length; j++) {
+                if (candidates.indexOf(ids[j]) === -1) candidates.push(ids[j]);
+            }
+
+            if (this.config.stopOnFirstMatch) break;
+        }
+
+        this.emit("targeting_candidates_resolved", { page_name: ctx.pageName, candidates: candidates });
+        return candidates;
+    }
+
+    /**
+     * Builds a page context from the browser environment.
+     * Any field passed in overrides the detected value.
+     *
+     * @param {object} [overrides] - { pageName, url, path, query, referrer, data }
+     * @returns {object}
+     */
+    buildPageContext(overrides) {
+        var hasWindow = typeof window !== "undefined";
+        var loc = hasWindow && window.location ? window.location : {};
+        var data = hasWindow && window.utag_data && typeof window.utag_data === "object" ? window.utag_data : {};
+
+        var ctx = {
+            pageName: data.page_name ? String(data.page_name) : "",
+            url: loc.href || "",
+            path: loc.pathname || "",
+            query: this.parseQueryString(loc.search || ""),
+            referrer: typeof document !== "undefined" && document.referrer ? document.referrer : "",
+            data: data
+        };
+
+        if (overrides && typeof overrides === "object") {
+            Object.assign(ctx, overrides);
+            if (typeof ctx.query === "string") ctx.query = this.parseQueryString(ctx.query);
+        }
+
+        return ctx;
+    }
+
+    /* =========================
+        CONDITION EVALUATION
+       ========================= */
+
+    /**
+     * Evaluates a condition node. Multiple keys in the same node are combined with AND.
+     * Returns { matched, reason } where reason describes the deciding check.
+     */
+    evaluateCondition(condition, ctx) {
+        if (!condition || typeof condition !== "object") {
+            return { matched: false, reason: "invalid condition" };
+        }
+
+        var keys = Object.keys(condition);
+        if (!keys.length) return { matched: true, reason: "no conditions" };
+
+        var reasons = [];
+
+        for (var i = 0; i < keys.length; i++) {
+            var result = this.evaluateConditionKey(keys[i], condition[keys[i]], ctx);
+            if (!result.matched) return result;
+            reasons.push(result.reason);
+        }
+
+        return { matched: true, reason: reasons.join(" AND ") };
+    }
+
+    /**
+     * Evaluates a single condition key (composition operator or context field).
+     */
+    evaluateConditionKey(key, value, ctx) {
+        switch (key) {
+            case "all":
+                return this.evaluateAll(value, ctx);
+            case "any":
+                return this.evaluateAny(value, ctx);
+            case "not":
+                var inner = this.evaluateCondition(value, ctx);
+                return { matched: !inner.matched, reason: "NOT (" + inner.reason + ")" };
+            case "page_name":
+                return this.evaluateField("page_name", ctx.pageName, value, "equals");
+            case "url":
+                return this.evaluateField("url", ctx.url, value, "equals");
+            case "path":
+                return this.evaluateField("path", ctx.path, value, "glob");
+            case "referrer":
+                return this.evaluateField("referrer", ctx.referrer, value, "equals");
+            case "query":
+                return this.evaluateMap("query", ctx.query, value);
+            case "data":
+                return this.evaluateMap("data", ctx.data, value);
+            default:
+                return { matched: false, reason: "unknown condition '" + key + "'" };
+        }
+    }
+
+    evaluateAll(conditions, ctx) {
+        if (!Array.isArray(conditions)) return { matched: false, reason: "'all' expects an array" };
+
+        var reasons = [];
+        for (var i = 0; i < conditions.length; i++) {
+            var result = this.evaluateCondition(conditions[i], ctx);
+            if (!result.matched) return result;
+            reasons.push(result.reason);
+        }
+        return { matched: true, reason: reasons.join(" AND ") };
+    }
+
+    evaluateAny(conditions, ctx) {
+        if (!Array.isArray(conditions)) return { matched: false, reason: "'any' expects an array" };
+
+        var reasons = [];
+        for (var i = 0; i < conditions.length; i++) {
+            var result = this.evaluateCondition(conditions[i], ctx);
+            if (result.matched) return result;
+            reasons.push(result.reason);
+        }
+        return { matched: false, reason: "none of (" + reasons.join(" OR ") + ")" };
+    }
+
+    /**
+     * Evaluates each key of a map condition (query params or data-layer attributes).
+     * Data-layer keys support dotted paths, e.g. "user.type".
+     */
+    evaluateMap(field, source, matchers) {
+        if (!matchers || typeof matchers !== "object") {
+            return { matched: false, reason: "'" + field + "' expects an object" };
+        }
+
+        var keys = Object.keys(matchers);
+        var reasons = [];
+
+        for (var i = 0; i < keys.length; i++) {
+            var actual = this.readPath(source, keys[i]);
+            var result = this.evaluateField(field + "." + keys[i], actual, matchers[keys[i]], "equals");
+            if (!result.matched) return result;
+            reasons.push(result.reason);
+        }
+
+        return { matched: true, reason: reasons.join(" AND ") };
+    }
+
+    /**
+     * Evaluates a value matcher against an actual value.
+     * Matcher forms:
+     * - primitive => compared with the field's default operator ("equals", or "glob" for path)
+     * - array     => matches if any entry matches
+     * - object    => { equals, prefix, suffix, contains, regex, flags, glob, in, exists }, all must hold
+     */
+    evaluateField(field, actual, matcher, defaultOperator) {
+        if (Array.isArray(matcher)) {
+            for (var i = 0; i < matcher.length; i++) {
+                if (this.evaluateField(field, actual, matcher[i], defaultOperator).matched) {
+                    return { matched: true, reason: field + " matched " + JSON.stringify(matcher[i]) };
+                }
+            }
+            return { matched: false, reason: field + " " + JSON.stringify(actual) + " not in " + JSON.stringify(matcher) };
+        }
+
+        if (matcher === null || typeof matcher !== "object") {
+            var single = {};
+            single[defaultOperator] = matcher;
+            matcher = single;
+        }
+
+        var operators = Object.keys(matcher);
+        for (var j = 0; j < operators.length; j++) {
+            var op = operators[j];
+            if (op === "flags") continue;
+
+            if (!this.applyOperator(op, actual, matcher[op], matcher.flags)) {
+                return { matched: false, reason: field + " " + JSON.stringify(actual) + " failed " + op + " " + JSON.stringify(matcher[op]) };
+            }
+        }
+
+        return { matched: true, reason: field + " " + JSON.stringify(actual) + " matched " + JSON.stringify(matcher) };
+    }
+
+    /**
+     * Applies a single matcher operator. Unknown operators never match.
+     */
+    applyOperator(op, actual, expected, flags) {
+        var exists = typeof actual !== "undefined" && actual !== null && actual !== "";
+
+        if (op === "exists") return exists === !!expected;
+        if (!exists) return false;
+
+        var str = String(actual);
+
+        switch (op) {
+            case "equals":
+                return str === String(expected);
+            case "prefix":
+                return str.indexOf(String(expected)) === 0;
+            case "suffix":
+                var suffix = String(expected);
+                return str.length >= suffix.length && str.slice(str.length - suffix.length) === suffix;
+            case "contains":
+                return str.indexOf(String(expected)) !== -1;
+            case "in":
+                return Array.isArray(expected) && expected.map(String).indexOf(str) !== -1;
+            case "regex":
+                var re = this.getRegex(String(expected), flags);
+                return !!re && re.test(str);
+            case "glob":
+                var glob = this.getRegex(this.globToRegexSource(String(expected)), "");
+                return !!glob && glob.test(str);
+            default:
+                this.log("SURVEY: unknown targeting operator " + op);
+                return false;
+        }
+    }
+
+    /* =========================
+        UTILS
+       ========================= */
+
+    /**
+     * Returns a cached RegExp, or null (with an event) if the pattern is invalid.
+     */
+    getRegex(source, flags) {
+        var f = flags ? String(flags) : "";
+        var cacheKey = f + "/" + source;
+
+        if (Object.prototype.hasOwnProperty.call(this.regexCache, cacheKey)) return this.regexCache[cacheKey];
+
+        var re = null;
+        try {
+            re = new RegExp(source, f);
+        } catch (e) {
+            this.emit("targeting_invalid_regex", { pattern: source, flags: f, error: e && e.message });
+            this.log("SURVEY: invalid targeting regex " + source);
+        }
+
+        this.regexCache[cacheKey] = re;
+        return re;
+    }
+
+    /**
+     * Converts a URL path glob to an anchored regex source:
+     * - "**" matches any characters, including "/"
+     * - "*"  matches any characters except "/"
+     * - "?"  matches a single character except "/"
+     */
+    globToRegexSource(glob) {
+        var out = "";
+
+        for (var i = 0; i < glob.length; i++) {
+            var c = glob.charAt(i);
+
+            if (c === "*") {
+                if (glob.charAt(i + 1) === "*") {
+                    out += ".*";
+                    i++;
+                } else {
+                    out += "[^/]*";
+                }
+            } else if (c === "?") {
+                out += "[^/]";
+            } else {
+                out += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+            }
+        }
+
+        return "^" + out + "$";
+    }
+
+    /**
+     * Parses "?a=1&b=2" into { a: "1", b: "2" } (first value wins for repeated keys).
+     */
+    parseQueryString(search) {
+        var query = {};
+        var str = String(search || "").replace(/^\?/, "");
+        if (!str) return query;
+
+        var pairs = str.split("&");
+        for (var i = 0; i < pairs.length; i++) {
+            if (!pairs[i]) continue;
+
+            var idx = pairs[i].indexOf("=");
+            var rawKey = idx === -1 ? pairs[i] : pairs[i].slice(0, idx);
+            var rawValue = idx === -1 ? "" : pairs[i].slice(idx + 1);
+            var key = this.safeDecode(rawKey);
+
+            if (!Object.prototype.hasOwnProperty.call(query, key)) {
+                query[key] = this.safeDecode(rawValue);
+            }
+        }
+
+        return query;
+    }
+
+    safeDecode(value) {
+        try {
+            return decodeURIComponent(String(value).replace(/\+/g, " "));
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Reads a (possibly dotted) key from an object; exact keys take precedence.
+     */
+    readPath(source, path) {
+        if (!source || typeof source !== "object") return undefined;
+        if (Object.prototype.hasOwnProperty.call(source, path)) return source[path];
+
+        var parts = String(path).split(".");
+        var current = source;
+
+        for (var i = 0; i < parts.length; i++) {
+            if (!current || typeof current !== "object") return undefined;
+            current = current[parts[i]];
+        }
+
+        return current;
+    }
+
+    getRuleId(rule, index) {
+        return rule.id ? String(rule.id) : "rule_" + index;
+    }
+
+    /**
+     * Normalizes candidates such as "1,2" or [1, "2"] to ["1","2"].
+     */
+    normalizeIds(candidates) {
+        if (!candidates) return [];
+
+        var list = typeof candidates === "string" ? candidates.split(",") : Array.isArray(candidates) ? candidates : [candidates];
+        return list.map(function (x) { return String(x).trim(); }).filter(Boolean);
+    }
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep targeting resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
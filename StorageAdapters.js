@@ -0,0 +1,283 @@
+/**
+ * StorageAdapters
+ * ---------------
+ * Pluggable key/value backends used by SurveyEngine for quarantine state.
+ *
+ * Every adapter implements the same interface (string values only):
+ * - getItem(key)                   => string|null
+ * - setItem(key, value, options)   options: { persistent: boolean, expiry: epoch ms|undefined }
+ * - removeItem(key)
+ * - keys()                         => Array<string>
+ * - isAvailable()                  => boolean (cheap probe, never throws)
+ *
+ * Optionally, `sessionRecordMaxHours` (number): a backend that cannot scope non-persistent
+ * entries to the browser session declares how long they may live (see SurveyEngine).
+ *
+ * IMPORTANT:
+ * - Adapters only persist strings; record format and expiry checks belong to SurveyEngine.
+ * - Adapters may throw (e.g. Safari private mode); wrap them in FallbackStorageAdapter
+ *   to degrade gracefully.
+ */
+
+/**
+ * Web Storage backend: localStorage for persistent entries, sessionStorage otherwise.
+ */
+class WebStorageAdapter {
+    constructor(options) {
+        this.name = "web_storage";
+        this.options = Object.assign({
+            // Explicit Storage objects (defaults to window.localStorage / window.sessionStorage)
+            local: null,
+            session: null
+        }, options || {});
+    }
+
+    getItem(key) {
+        return this.getLocal().getItem(key) || this.getSession().getItem(key);
+    }
+
+    setItem(key, value, options) {
+        var target = options && options.persistent ? this.getLocal() : this.getSession();
+        target.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.getLocal().removeItem(key);
+        this.getSession().removeItem(key);
+    }
+
+    keys() {
+        var result = [];
+        var stores = [this.getLocal(), this.getSession()];
+
+        for (var i = 0; i < stores.length; i++) {
+            for (var j = 0; j < stores[i].length; j++) {
+                var key = stores[i].key(j);
+                if (key !== null && result.indexOf(key) === -1) result.push(key);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Probes both storages with a write, since some browsers expose them but throw on setItem.
+     */
+    isAvailable() {
+        try {
+            var probe = "__neb_probe__";
+            var stores = [this.getLocal(), this.getSession()];
+            for (var i = 0; i < stores.length; i++) {
+                stores[i].setItem(probe, "1");
+                stores[i].removeItem(probe);
+            }
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    getLocal() {
+        // Accessing window.localStorage itself may throw (blocked third-party storage).
+        return this.options.local || window.localStorage;
+    }
+
+    getSession() {
+        return this.options.session || window.sessionStorage;
+    }
+}
+
+/**
+ * First-party cookie backend. Use `domain` (e.g. ".example.com") to share state across subdomains.
+ * Non-persistent entries are written as session cookies.
+ */
+class CookieStorageAdapter {
+    constructor(options) {
+        this.name = "cookie";
+        this.options = Object.assign({
+            domain: "",
+            path: "/",
+            sameSite: "Lax",
+            // null => secure only when the page is served over https
+            secure: null
+        }, options || {});
+    }
+
+    getItem(key) {
+        var cookies = this.readCookies();
+        return Object.prototype.hasOwnProperty.call(cookies, key) ? cookies[key] : null;
+    }
+
+    setItem(key, value, options) {
+        var expires = options && options.persistent && options.expiry ? new Date(options.expiry) : null;
+        this.writeCookie(key, value, expires);
+    }
+
+    removeItem(key) {
+        this.writeCookie(key, "", new Date(0));
+    }
+
+    keys() {
+        return Object.keys(this.readCookies());
+    }
+
+    isAvailable() {
+        try {
+            return typeof document !== "undefined" && typeof document.cookie === "string" &&
+                !(typeof navigator !== "undefined" && navigator.cookieEnabled === false);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    readCookies() {
+        var result = {};
+        var raw = document.cookie ? document.cookie.split(";") : [];
+
+        for (var i = 0; i < raw.length; i++) {
+            var idx = raw[i].indexOf("=");
+            if (idx === -1) continue;
+
+            var name = raw[i].slice(0, idx).trim();
+            try {
+                result[decodeURIComponent(name)] = decodeURIComponent(raw[i].slice(idx + 1).trim());
+            } catch (e) {
+                // Ignore cookies we did not encode.
+            }
+        }
+
+        return result;
+    }
+
+    writeCookie(key, value, expires) {
+        var opts = this.options;
+        var secure = opts.secure === null ? typeof location !== "undefined" && location.protocol === "https:" : !!opts.secure;
+        var cookie = encodeURIComponent(key) + "=" + encodeURIComponent(value);
+
+        if (expires) cookie += "; expires=" + expires.toUTCString();
+        if (opts.path) cookie += "; path=" + opts.path;
+        if (opts.domain) cookie += "; domain=" + opts.domain;
+        if (opts.sameSite) cookie += "; SameSite=" + opts.sameSite;
+        if (secure) cookie += "; Secure";
+
+        document.cookie = cookie;
+    }
+}
+
+/**
+ * In-memory backend (lost on reload). Useful for SSR, tests, or as the last fallback.
+ */
+class MemoryStorageAdapter {
+    constructor() {
+        this.name = "memory";
+        this.store = {};
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null;
+    }
+
+    setItem(key, value) {
+        this.store[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.store[key];
+    }
+
+    keys() {
+        return Object.keys(this.store);
+    }
+
+    isAvailable() {
+        return true;
+    }
+}
+
+/**
+ * Chain of adapters: uses the first available one and moves to the next
+ * as soon as an operation throws.
+ */
+class FallbackStorageAdapter {
+    constructor(adapters, options) {
+        this.name = "fallback";
+        this.adapters = Array.isArray(adapters) ? adapters.filter(Boolean) : [];
+        this.options = Object.assign({
+            // (adapterName, error) => void, called when an adapter is abandoned
+            onError: null
+        }, options || {});
+
+        // Index of the adapter currently in use, and whether it passed isAvailable()
+        this.activeIndex = 0;
+        this.activeVerified = false;
+    }
+
+    getItem(key) {
+        return this.run("getItem", [key], null);
+    }
+
+    setItem(key, value, options) {
+        this.run("setItem", [key, value, options], undefined);
+    }
+
+    removeItem(key) {
+        this.run("removeItem", [key], undefined);
+    }
+
+    keys() {
+        return this.run("keys", [], []);
+    }
+
+    isAvailable() {
+        return this.resolveActive() !== null;
+    }
+
+    /**
+     * Runs an operation on the active adapter; on error, abandons it and retries on the next one.
+     */
+    run(method, args, fallbackValue) {
+        var adapter = this.resolveActive();
+
+        while (adapter) {
+            try {
+                return adapter[method].apply(adapter, args);
+            } catch (e) {
+                this.fail(adapter, e);
+                adapter = this.resolveActive();
+            }
+        }
+
+        return fallbackValue;
+    }
+
+    /**
+     * Returns the adapter in use, probing each candidate once with isAvailable().
+     */
+    resolveActive() {
+        while (this.activeIndex < this.adapters.length) {
+            var adapter = this.adapters[this.activeIndex];
+
+            if (this.activeVerified || typeof adapter.isAvailable !== "function" || adapter.isAvailable()) {
+                this.activeVerified = true;
+                return adapter;
+            }
+
+            this.fail(adapter, null);
+        }
+
+        return null;
+    }
+
+    fail(adapter, error) {
+        this.activeIndex++;
+        this.activeVerified = false;
+
+        if (typeof this.options.onError === "function") {
+            try {
+                this.options.onError(adapter.name || "unknown", error);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
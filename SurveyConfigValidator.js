@@ -0,0 +1,369 @@
+/**
+ * SurveyConfigValidator
+ * ---------------------
+ * Schema validation for survey configurations that:
+ * - Normalizes types (e.g. "100" => 100) on copies, never mutating the input
+ * - Checks required fields (survey_id, display, percentage, priority)
+ * - Flags key/survey_id mismatches and unknown display styles
+ * - Returns a structured report usable at runtime or from a Node script
+ *
+ * Modes:
+ * - "lenient": every survey is kept; invalid values fall back to safe defaults.
+ * - "strict":  surveys with errors are left out of the normalized configurations.
+ */
+class SurveyConfigValidator {
+    constructor(options) {
+        this.config = {
+            // "lenient" | "strict"
+            mode: "lenient",
+
+            // Registered display names (e.g. renderer.getRegisteredDisplays()).
+            // null => display values are not checked against styles.
+            knownDisplays: null,
+
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        PUBLIC VALIDATION API
+       ========================= */
+
+    /**
+     * Validates and normalizes survey configurations keyed by survey ID.
+     *
+     * @param {object} configurations - { "<surveyId>": { survey_id, display, percentage, priority, ... } }
+     * @param {object} [options] - overrides for mode / knownDisplays
+     * @returns {object} report - { valid, mode, errors, warnings, rejected, configurations }
+     */
+    validate(configurations, options) {
+        var opts = Object.assign({}, this.config, options || {});
+        var report = {
+            valid: true,
+            mode: opts.mode === "strict" ? "strict" : "lenient",
+            errors: [],
+            warnings: [],
+            rejected: [],
+            configurations: {}
+        };
+
+        if (!configurations || typeof configurations !== "object" || Array.isArray(configurations)) {
+            this.addIssue(report, "errors", null, null, "", "invalid_root", "configurations must be an object keyed by survey ID");
+            report.valid = false;
+            return report;
+        }
+
+        var keys = Object.keys(configurations);
+
+        for (var i = 0; i < keys.length; i++) {
+            var key = keys[i];
+            var errorCount = report.errors.length;
+            var normalized = this.normalizeSurvey(key, configurations[key], opts, report);
+
+            if (report.errors.length > errorCount && report.mode === "strict") {
+                report.rejected.push(key);
+                continue;
+            }
+
+            if (normalized) report.configurations[key] = normalized;
+        }
+
+        report.valid = report.errors.length === 0;
+
+        if (!report.valid) {
+            this.log("SURVEY: survey configuration has " + report.errors.length + " error(s)");
+        }
+
+        this.emit("survey_config_validated", {
+            valid: report.valid,
+            mode: report.mode,
+            errors: report.errors.length,
+            warnings: report.warnings.length,
+            rejected: report.rejected
+        });
+
+        return report;
+    }
+
+    /* =========================
+        FIELD NORMALIZATION
+       ========================= */
+
+    /**
+     * Returns a normalized copy of one survey configuration, recording issues in the report.
+     */
+    normalizeSurvey(key, raw, opts, report) {
+        if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+            this.addIssue(report, "errors", key, null, "", "invalid_survey", "survey configuration must be an object");
+            return null;
+        }
+
+        var survey = Object.assign({}, raw);
+
+        // survey_id
+        if (this.isBlank(survey.survey_id)) {
+            this.addIssue(report, "errors", key, null, "survey_id", "missing_field", "survey_id is required");
+            survey.survey_id = String(key);
+        } else {
+            survey.survey_id = String(survey.survey_id).trim();
+            if (survey.survey_id !== String(key)) {
+                this.addIssue(report, "warnings", key, survey.survey_id, "survey_id", "key_mismatch",
+                    "key \"" + key + "\" does not match survey_id \"" + survey.survey_id + "\"");
+            }
+        }
+
+        var sid = survey.survey_id;
+
+        // display
+        if (this.isBlank(survey.display)) {
+            this.addIssue(report, "errors", key, sid, "display", "missing_field", "display is required");
+        } else {
+            survey.display = String(survey.display);
+            if (Array.isArray(opts.knownDisplays) && opts.knownDisplays.indexOf(survey.display) === -1) {
+                this.addIssue(report, "errors", key, sid, "display", "unknown_display",
+                    "display \"" + survey.display + "\" is not a registered style (" + opts.knownDisplays.join(", ") + ")");
+            }
+        }
+
+        // percentage (required, 0..100)
+        survey.percentage = this.normalizeNumber(report, key, sid, survey, "percentage", { required: true, min: 0, max: 100, fallback: 0 });
+
+        // priority (required, integer)
+        survey.priority = this.normalizeNumber(report, key, sid, survey, "priority", { required: true, integer: true, fallback: 0 });
+
+        // optional durations (days, or hours for remind_after_hours) and delay (ms);
+        // blank values are treated as absent
+        ["quarantine", "quarantine_accept", "quarantine_decline", "quarantine_dismiss", "remind_after_hours"].forEach(function (field) {
+            if (this.isBlank(survey[field])) {
+                delete survey[field];
+                return;
+            }
+            survey[field] = this.normalizeNumber(report, key, sid, survey, field, { min: 0, fallback: 0 });
+        }, this);
+
+        if (!this.isBlank(survey.weight)) {
+            survey.weight = this.normalizeNumber(report, key, sid, survey, "weight", { min: 0, fallback: 1 });
+        }
+
+        if (!this.isBlank(survey.delay)) {
+            survey.delay = this.normalizeNumber(report, key, sid, survey, "delay", { min: 0, integer: true, fallback: 0 });
+        }
+
+        if (this.isBlank(survey.remind_after_pages)) {
+            delete survey.remind_after_pages;
+        } else {
+            survey.remind_after_pages = this.normalizeNumber(report, key, sid, survey, "remind_after_pages", { min: 0, integer: true, fallback: 0 });
+        }
+
+        // enums
+        if ("quarantine_trigger" in survey) {
+            var triggers = ["on_sample", "on_shown", "on_accept", "on_decline"];
+            if (triggers.indexOf(survey.quarantine_trigger) === -1) {
+                this.addIssue(report, "errors", key, sid, "quarantine_trigger", "invalid_value",
+                    "quarantine_trigger must be one of " + triggers.join(", "));
+                survey.quarantine_trigger = "on_sample";
+            }
+        }
+
+        // nested objects
+        if ("frequency_caps" in survey) {
+            if (!survey.frequency_caps || typeof survey.frequency_caps !== "object") {
+                this.addIssue(report, "errors", key, sid, "frequency_caps", "invalid_type", "frequency_caps must be an object");
+                delete survey.frequency_caps;
+            } else {
+                var caps = Object.assign({}, survey.frequency_caps);
+                Object.keys(caps).forEach(function (capName) {
+                    caps[capName] = this.normalizeNumber(report, key, sid, caps, capName, { min: 0, fallback: 0, label: "frequency_caps." + capName });
+                }, this);
+                survey.frequency_caps = caps;
+            }
+        }
+
+        // An invalid audience is kept: it matches nobody (never widens the audience).
+        if ("audience" in survey && survey.audience !== null &&
+            (typeof survey.audience !== "object" || Array.isArray(survey.audience))) {
+            this.addIssue(report, "errors", key, sid, "audience", "invalid_type",
+                "audience must be a condition object (attributes, all, any, not)");
+        }
+
+        this.normalizeSchedule(report, key, sid, survey);
+
+        if ("trigger" in survey && survey.trigger !== null && !this.isValidTrigger(survey.trigger)) {
+            this.addIssue(report, "errors", key, sid, "trigger", "invalid_value",
+                "trigger must be a known type (element_visible needs selector, custom_event needs name) or an { all|any: [...] } composition");
+        }
+
+        if ("sampling_salt" in survey && survey.sampling_salt !== null) {
+            survey.sampling_salt = String(survey.sampling_salt);
+        }
+
+        return survey;
+    }
+
+    /**
+     * Converts a field to a number, recording missing/invalid/out-of-range values.
+     * Returns the normalized number (or the fallback when invalid).
+     */
+    normalizeNumber(report, key, sid, source, field, rules) {
+        var label = rules.label || field;
+        var value = source[field];
+
+        if (this.isBlank(value)) {
+            if (rules.required) {
+                this.addIssue(report, "errors", key, sid, label, "missing_field", label + " is required");
+            }
+            return rules.fallback;
+        }
+
+        var n = typeof value === "number" ? value : Number(String(value).trim());
+
+        if (typeof value === "boolean" || isNaN(n) || !isFinite(n)) {
+            this.addIssue(report, "errors", key, sid, label, "invalid_number", label + " must be a number (got " + JSON.stringify(value) + ")");
+            return rules.fallback;
+        }
+
+        if (rules.integer && Math.floor(n) !== n) {
+            this.addIssue(report, "warnings", key, sid, label, "not_integer", label + " " + n + " truncated to " + Math.floor(n));
+            n = Math.floor(n);
+        }
+
+        if (typeof rules.min === "number" && n < rules.min) {
+            this.addIssue(report, "errors", key, sid, label, "out_of_range", label + " must be >= " + rules.min);
+            return rules.min;
+        }
+
+        if (typeof rules.max === "number" && n > rules.max) {
+            this.addIssue(report, "errors", key, sid, label, "out_of_range", label + " must be <= " + rules.max);
+            return rules.max;
+        }
+
+        return n;
+    }
+
+    /**
+     * Checks schedule fields: start_date/end_date, timezone, weekdays, hour_from/hour_to.
+     */
+    normalizeSchedule(report, key, sid, survey) {
+        ["start_date", "end_date"].forEach(function (field) {
+            if (this.isBlank(survey[field])) {
+                delete survey[field];
+                return;
+            }
+            survey[field] = String(survey[field]).trim();
+            if (isNaN(Date.parse(survey[field]))) {
+                this.addIssue(report, "errors", key, sid, field, "invalid_date", field + " must be an ISO date (YYYY-MM-DD) or timestamp");
+            }
+        }, this);
+
+        if (survey.start_date && survey.end_date && Date.parse(survey.start_date) > Date.parse(survey.end_date)) {
+            this.addIssue(report, "errors", key, sid, "end_date", "invalid_range", "end_date is before start_date");
+        }
+
+        if (!this.isBlank(survey.timezone)) {
+            try {
+                new Intl.DateTimeFormat("en-US", { timeZone: String(survey.timezone) });
+            } catch (e) {
+                this.addIssue(report, "errors", key, sid, "timezone", "invalid_value", "unsupported timezone \"" + survey.timezone + "\"");
+            }
+        }
+
+        if ("weekdays" in survey && survey.weekdays !== null) {
+            var names = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+            var valid = Array.isArray(survey.weekdays) && survey.weekdays.every(function (d) {
+                return names.indexOf(String(d).slice(0, 3).toLowerCase()) !== -1 || /^[0-6]$/.test(String(d));
+            });
+            if (!valid) {
+                this.addIssue(report, "errors", key, sid, "weekdays", "invalid_value", "weekdays must be an array of 0-6 or day names");
+            }
+        }
+
+        ["hour_from", "hour_to"].forEach(function (field) {
+            if (this.isBlank(survey[field])) {
+                delete survey[field];
+                return;
+            }
+            survey[field] = this.normalizeNumber(report, key, sid, survey, field, { min: 0, max: 24, fallback: field === "hour_from" ? 0 : 24 });
+        }, this);
+    }
+
+    /**
+     * Checks a behavioral trigger configuration (see InvitationTriggers.js).
+     */
+    isValidTrigger(trigger) {
+        var types = ["exit_intent", "scroll_depth", "inactivity", "element_visible", "custom_event", "time_on_page"];
+
+        if (typeof trigger === "string") trigger = { type: trigger };
+        if (!trigger || typeof trigger !== "object") return false;
+
+        var list = Array.isArray(trigger.all) ? trigger.all : Array.isArray(trigger.any) ? trigger.any : null;
+        if (list) return list.length > 0 && list.every(this.isValidTrigger, this);
+
+        // These leaves can never fire without their option.
+        if (trigger.type === "element_visible" && !trigger.selector) return false;
+        if (trigger.type === "custom_event" && !trigger.name) return false;
+
+        return types.indexOf(trigger.type) !== -1;
+    }
+
+    /* =========================
+        UTILS
+       ========================= */
+
+    addIssue(report, list, key, surveyId, field, code, message) {
+        report[list].push({
+            key: key === null ? null : String(key),
+            survey_id: surveyId === null ? null : String(surveyId),
+            field: field,
+            code: code,
+            message: message
+        });
+    }
+
+    isBlank(value) {
+        return value === null || typeof value === "undefined" || String(value).trim() === "";
+    }
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep validation resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
@@ -0,0 +1,485 @@
+/**
+ * SurveyDebugOverlay
+ * ------------------
+ * Debug/preview mode that answers "why didn't I get the survey?" on the page itself:
+ * - Enabled by a query parameter (?neb_debug=1, remembered for the tab session) or by config
+ * - Optionally forces a survey ID (?neb_force=<id>), bypassing sampling and quarantine
+ *   (applied through SurveyEngine `forceSurveyId`)
+ * - Shows an overlay with the page candidates, each survey's decision path (audience,
+ *   quarantined, sampled in/out, frequency cap, schedule, priority), the Medallia load
+ *   status and the latest renderer events
+ * - Offers "Clear quarantines" (SurveyEngine.clearQuarantines()) and "Re-run" buttons
+ *
+ * Feed it the event stream like a tracker: track(type, payload) or SurveyLauncher unified
+ * events. SurveyLauncher does the wiring when `debug` is enabled.
+ *
+ * IMPORTANT:
+ * - The flags live in sessionStorage ("nebs_debug*"), outside the quarantine prefixes.
+ * - Event data is rendered as text only (never as HTML).
+ */
+class SurveyDebugOverlay {
+    constructor(options) {
+        this.config = {
+            // true | false; null => enabled by the query parameter or the stored flag
+            enabled: null,
+
+            // ?neb_debug=1 enables (and remembers) debug mode, ?neb_debug=0 turns it off
+            queryParam: "neb_debug",
+
+            // ?neb_force=<survey id> forces that survey (remembered; ?neb_force= clears it)
+            forceParam: "neb_force",
+
+            // sessionStorage keys for the remembered flags
+            storageKey: "nebs_debug",
+            forceStorageKey: "nebs_debug_force",
+
+            // Renderer events kept in the overlay
+            maxEvents: 15,
+
+            // SurveyEngine instance (required for "Clear quarantines")
+            engine: null,
+
+            // "Re-run" handler () => void (SurveyLauncher tears down and evaluates again)
+            onRerun: null,
+
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        this.rootEl = null;
+        this.bodyEl = null;
+        this.collapsed = false;
+        this.resetState();
+
+        // Bind handlers (no nested functions)
+        this.track = this.track.bind(this);
+        this.onClearClick = this.onClearClick.bind(this);
+        this.onRerunClick = this.onRerunClick.bind(this);
+        this.onToggleClick = this.onToggleClick.bind(this);
+        this.onDisableClick = this.onDisableClick.bind(this);
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        PUBLIC DEBUG API
+       ========================= */
+
+    /**
+     * True when debug mode is on (config, query parameter or remembered flag).
+     * The query parameter is remembered for the tab session.
+     */
+    isEnabled() {
+        if (typeof this.config.enabled === "boolean") return this.config.enabled;
+
+        var value = this.readQueryParam(this.config.queryParam);
+        if (value !== null) {
+            var on = value !== "0" && value !== "false";
+            this.writeSession(this.config.storageKey, on ? "1" : null);
+            if (!on) this.writeSession(this.config.forceStorageKey, null);
+            return on;
+        }
+
+        return this.readSession(this.config.storageKey) === "1";
+    }
+
+    /**
+     * Survey ID forced by the query parameter or remembered for the session, or null.
+     * Only meaningful when isEnabled().
+     */
+    getForcedSurveyId() {
+        var value = this.readQueryParam(this.config.forceParam);
+        if (value !== null) {
+            this.writeSession(this.config.forceStorageKey, value || null);
+            return value || null;
+        }
+
+        return this.readSession(this.config.forceStorageKey) || null;
+    }
+
+    /**
+     * Mounts the overlay (no-op when disabled or already mounted).
+     */
+    attach() {
+        if (this.rootEl || !this.isEnabled() || !document.body) return this;
+
+        this.state.forced = this.getForcedSurveyId();
+        this.rootEl = this.buildOverlay();
+        document.body.appendChild(this.rootEl);
+
+        this.log("SURVEY: debug overlay attached");
+        this.emit("debug_overlay_attached", { forced_survey_id: this.state.forced });
+        this.render();
+        return this;
+    }
+
+    /**
+     * Removes the overlay. Remembered flags are kept (see disable()).
+     */
+    destroy() {
+        if (this.rootEl && this.rootEl.parentNode) this.rootEl.parentNode.removeChild(this.rootEl);
+        this.rootEl = null;
+        this.bodyEl = null;
+    }
+
+    /**
+     * Forgets the remembered flags and removes the overlay.
+     */
+    disable() {
+        this.writeSession(this.config.storageKey, null);
+        this.writeSession(this.config.forceStorageKey, null);
+        this.destroy();
+        this.emit("debug_disabled", {});
+    }
+
+    /**
+     * Records an event: track(type, payload) or track({ type, source, survey_id, timestamp, data }).
+     */
+    track(typeOrEvent, payload) {
+        var event = typeof typeOrEvent === "string"
+            ? { type: typeOrEvent, source: null, data: payload || {} }
+            : typeOrEvent;
+
+        if (!event || !event.type) return;
+
+        var type = event.type;
+        var data = event.data || {};
+
+        if (type === "targeting_candidates_resolved" || type === "navigation_evaluated") {
+            // A new evaluation starts: previous decisions no longer apply.
+            if (type === "targeting_candidates_resolved" || !this.state.evaluating) this.resetDecisions();
+            this.state.evaluating = type === "targeting_candidates_resolved";
+            this.state.candidates = (data.candidates || []).map(String);
+            this.state.page = data.page_name || data.url || "";
+        } else if (type.indexOf("survey_") === 0) {
+            this.state.evaluating = false;
+            this.recordDecision(type, data);
+        } else if (type.indexOf("medallia_") === 0) {
+            var status = this.describeMedallia(type, data);
+            if (status) this.state.medallia = status;
+        }
+
+        if (event.source === "renderer" || type.indexOf("invitation_") === 0) {
+            this.state.rendererEvents.unshift(this.formatTime(event.timestamp) + " " + type + (data.survey_id ? " [" + data.survey_id + "]" : ""));
+            this.state.rendererEvents.length = Math.min(this.state.rendererEvents.length, Math.max(1, this.config.maxEvents));
+        }
+
+        this.render();
+    }
+
+    /* =========================
+        DECISION PATH
+       ========================= */
+
+    resetState() {
+        this.state = {
+            forced: null,
+            page: "",
+            candidates: [],
+            evaluating: false,
+            decisions: {},
+            decisionOrder: [],
+            verdict: "",
+            medallia: "not requested",
+            rendererEvents: []
+        };
+    }
+
+    resetDecisions() {
+        this.state.decisions = {};
+        this.state.decisionOrder = [];
+        this.state.verdict = "";
+    }
+
+    /**
+     * Appends an engine event to the decision path of its survey (or to the overall verdict).
+     */
+    recordDecision(type, data) {
+        if (type === "survey_none_chosen") {
+            this.state.verdict = "no survey chosen";
+            return;
+        }
+        if (type === "survey_quarantines_cleared") {
+            this.state.verdict = data.count + " quarantine record(s) cleared";
+            return;
+        }
+
+        var text = this.describeDecision(type, data);
+        var sid = data.survey_id ? String(data.survey_id) : "";
+        if (!text || !sid) return;
+
+        if (!this.state.decisions[sid]) {
+            this.state.decisions[sid] = [];
+            this.state.decisionOrder.push(sid);
+        }
+        this.state.decisions[sid].push(text);
+
+        if (type === "survey_chosen" || type === "survey_forced") this.state.verdict = "showing " + sid;
+    }
+
+    /**
+     * Human-readable step for an engine event (null => not part of the decision path).
+     */
+    describeDecision(type, data) {
+        switch (type) {
+            case "survey_forced":
+                return "FORCED by debug mode (sampling and quarantine bypassed)";
+            case "survey_chosen":
+                return "CHOSEN - priority " + data.priority + " (" + data.reason + ")";
+            case "survey_audience_not_matched":
+                return "blocked: audience (" + data.reason + ")";
+            case "survey_quarantined_block":
+                return "blocked: quarantined";
+            case "survey_remind_later_block":
+                return "blocked: remind later pending";
+            case "survey_included_by_sampling":
+                return "sampled in: bucket " + data.bucket + " < " + data.percentage + "%";
+            case "survey_excluded_quarantined_user_sampling":
+                return "sampled out (visitor quarantined): bucket " + data.bucket + " >= " + data.percentage + "%";
+            case "survey_excluded_not_quarantined_event_sampling":
+                return "sampled out (this time): bucket " + data.bucket + " >= " + data.percentage + "%";
+            case "survey_quarantine_set_on_sample":
+                return "quarantine set for " + data.days + " day(s)";
+            case "survey_blocked_by_frequency_cap":
+                return "blocked: frequency cap " + data.cap;
+            case "survey_outside_schedule":
+                return "blocked: outside schedule (" + data.reason + ")";
+            case "survey_missing_config":
+                return "blocked: no configuration";
+            case "survey_invalid_priority":
+                return "blocked: invalid priority " + data.priority;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Medallia load status for a loader/renderer event (null => status unchanged).
+     */
+    describeMedallia(type, data) {
+        switch (type) {
+            case "medallia_load_deferred":
+                return "deferred (waiting for consent)";
+            case "medallia_script_injected":
+                return "loading (attempt " + data.attempt + ")";
+            case "medallia_script_shared":
+                return "loading (script already in the page)";
+            case "medallia_load_retry":
+                return "retrying (attempt " + data.attempt + " in " + data.delay_ms + "ms)";
+            case "medallia_load_timeout":
+                return "timed out (attempt " + data.attempt + ")";
+            case "medallia_loaded":
+                return "loaded in " + data.duration_ms + "ms";
+            case "medallia_load_failed":
+            case "medallia_loader_failed":
+                return "failed: " + data.reason;
+            case "medallia_form_data_waiting":
+                return "loaded, waiting for form data";
+            case "medallia_form_data_missing":
+                return "loaded, form data missing";
+            default:
+                return null;
+        }
+    }
+
+    /* =========================
+        OVERLAY
+       ========================= */
+
+    buildOverlay() {
+        var root = this.createEl("div", "position:fixed;bottom:8px;left:8px;z-index:2147483646;max-width:420px;max-height:60vh;overflow:auto;" +
+            "background:#111;color:#eee;font:12px/1.4 monospace;padding:8px;border-radius:4px;box-shadow:0 2px 8px rgba(0,0,0,.4);opacity:.95");
+        root.setAttribute("data-neb-debug", "");
+
+        var bar = this.createEl("div", "display:flex;gap:4px;align-items:center;margin-bottom:4px");
+        var title = this.createEl("strong", "flex:1");
+        title.textContent = "Survey debug";
+        bar.appendChild(title);
+        bar.appendChild(this.createButton("Clear quarantines", this.onClearClick));
+        bar.appendChild(this.createButton("Re-run", this.onRerunClick));
+        bar.appendChild(this.createButton("_", this.onToggleClick));
+        bar.appendChild(this.createButton("Exit", this.onDisableClick));
+        root.appendChild(bar);
+
+        this.bodyEl = this.createEl("div", "");
+        root.appendChild(this.bodyEl);
+        return root;
+    }
+
+    /**
+     * Re-renders the overlay content from the current state.
+     */
+    render() {
+        var body = this.bodyEl;
+        if (!body) return;
+
+        while (body.firstChild) body.removeChild(body.firstChild);
+        body.style.display = this.collapsed ? "none" : "block";
+        if (this.collapsed) return;
+
+        var s = this.state;
+        if (s.forced) this.addLine(body, "Forced survey: " + s.forced, "color:#fc6");
+        this.addLine(body, "Page: " + (s.page || "-"));
+        this.addLine(body, "Candidates: " + (s.candidates.length ? s.candidates.join(", ") : "none"));
+
+        this.addHeading(body, "Decisions" + (s.verdict ? " - " + s.verdict : ""));
+        if (!s.decisionOrder.length) this.addLine(body, "no decision recorded", "color:#999");
+        for (var i = 0; i < s.decisionOrder.length; i++) {
+            var sid = s.decisionOrder[i];
+            this.addLine(body, sid, "font-weight:bold");
+            for (var j = 0; j < s.decisions[sid].length; j++) {
+                this.addLine(body, "  - " + s.decisions[sid][j], "white-space:pre");
+            }
+        }
+
+        this.addHeading(body, "Medallia");
+        this.addLine(body, s.medallia);
+
+        this.addHeading(body, "Renderer events");
+        if (!s.rendererEvents.length) this.addLine(body, "none", "color:#999");
+        for (var k = 0; k < s.rendererEvents.length; k++) this.addLine(body, s.rendererEvents[k]);
+    }
+
+    onClearClick() {
+        var engine = this.config.engine;
+        if (!engine || typeof engine.clearQuarantines !== "function") {
+            this.log("SURVEY: debug overlay has no engine to clear quarantines");
+            return;
+        }
+        engine.clearQuarantines();
+    }
+
+    onRerunClick() {
+        if (typeof this.config.onRerun !== "function") return;
+        try {
+            this.config.onRerun();
+        } catch (e) {
+            this.log("SURVEY: debug re-run failed - " + (e && e.message));
+        }
+    }
+
+    onToggleClick() {
+        this.collapsed = !this.collapsed;
+        this.render();
+    }
+
+    onDisableClick() {
+        this.disable();
+    }
+
+    createEl(tag, css) {
+        var el = document.createElement(tag);
+        if (css) el.style.cssText = css;
+        return el;
+    }
+
+    createButton(label, handler) {
+        var btn = this.createEl("button", "font:11px monospace;padding:1px 6px;cursor:pointer");
+        btn.setAttribute("type", "button");
+        btn.textContent = label;
+        btn.addEventListener("click", handler);
+        return btn;
+    }
+
+    addHeading(parent, text) {
+        this.addLine(parent, text, "margin-top:6px;color:#6cf;font-weight:bold");
+    }
+
+    addLine(parent, text, css) {
+        var line = this.createEl("div", css);
+        line.textContent = text;
+        parent.appendChild(line);
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp || Date.now()).toTimeString().slice(0, 8);
+    }
+
+    /* =========================
+        FLAGS
+       ========================= */
+
+    /**
+     * Value of a query parameter ("" when present without value), or null when absent.
+     */
+    readQueryParam(name) {
+        if (!name) return null;
+
+        var pairs = String(window.location.search || "").replace(/^\?/, "").split("&");
+        for (var i = 0; i < pairs.length; i++) {
+            var idx = pairs[i].indexOf("=");
+            var key = idx === -1 ? pairs[i] : pairs[i].slice(0, idx);
+            if (key !== name) continue;
+
+            try {
+                return idx === -1 ? "" : decodeURIComponent(pairs[i].slice(idx + 1).replace(/\+/g, " "));
+            } catch (e) {
+                return pairs[i].slice(idx + 1);
+            }
+        }
+
+        return null;
+    }
+
+    readSession(key) {
+        try {
+            return window.sessionStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    writeSession(key, value) {
+        try {
+            if (value === null) window.sessionStorage.removeItem(key);
+            else window.sessionStorage.setItem(key, value);
+        } catch (e) {
+            // Storage unavailable: the flag only lasts for this page.
+        }
+    }
+
+    /* =========================
+        EVENT / LOG HELPERS
+       ========================= */
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep debugging resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
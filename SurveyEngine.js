@@ -2,9 +2,17 @@
  * SurveyEngine
  * -----------
  * Headless engine that:
+ * - Restricts surveys to an audience evaluated against a visitor context (AudienceEvaluator.js)
  * - Applies sampling + quarantine rules
- * - Selects a survey among candidate IDs by priority
+ * - Skips surveys outside their schedule window (dates, weekdays, hours)
+ * - Enforces global contact-frequency caps across surveys
+ * - Selects a survey among candidate IDs by priority, with pluggable tie-breaking strategies
  * - Emits events for tracking via callbacks (no Tealium dependency)
+ * - Validates and normalizes survey configurations (SurveyConfigValidator.js)
+ * - Persists quarantine state through a pluggable storage adapter (StorageAdapters.js)
+ * - Applies quarantine on sample, shown, accept or decline (connectRenderer())
+ * - Explains a selection without side effects (explain())
+ * - Lists, clears, extends and shortens quarantines; sweeps expired/legacy records on init
  *
  * IMPORTANT:
  * - It does NOT decide which surveys are candidates for a given page.
@@ -20,107 +28,1406 @@ class SurveyEngine {
             // Storage key prefix for quarantine entries
             quarantineKeyPrefix: "neb_",
 
+            // Housekeeping on creation: removes expired and corrupt engine entries and
+            // migrates legacy records (see sweepStorage())
+            housekeeping: true,
+
+            // Session entries older than this are treated as expired (0 disables), for backends
+            // that cannot scope them to the browser session (custom adapters, restored sessions).
+            // null => the storage adapter's own `sessionRecordMaxHours`, if it declares one (else 0)
+            sessionRecordMaxHours: null,
+
+            // Storage adapter for quarantine state (see StorageAdapters.js).
+            // null => Web Storage with an in-memory fallback.
+            storage: null,
+
+            // Consent gate (ConsentGate.js, or any object with its gate contract: isGranted(), addListener(fn)).
+            // Prefer connectConsent(gate), which also follows consent changes.
+            consent: null,
+
+            // Survey configuration validation in setSurveyConfigurations():
+            // "off" | "lenient" (normalize, report, keep all) | "strict" (drop surveys with errors)
+            validation: "lenient",
+
+            // Registered display names to validate `display` against
+            // (e.g. renderer.getRegisteredDisplays()); null => not checked.
+            knownDisplays: null,
+
+            // Global contact-frequency caps, across all surveys (0 disables a cap).
+            // Each survey may override any of them with a `frequency_caps` object.
+            frequencyCaps: {
+                // Max invitations per browser session
+                maxPerSession: 0,
+                // Max invitations within the rolling window of `periodDays`
+                maxPerPeriod: 0,
+                periodDays: 30,
+                // Minimum gap (hours) after any invitation
+                minHoursAfterInvitation: 0,
+                // Minimum gap (hours) after any completed/declined survey
+                minHoursAfterResponse: 0
+            },
+
+            // Storage keys for the contact history (persistent) and the session counter
+            contactHistoryKey: "nebs_contacts",
+            sessionContactsKey: "nebs_session_contacts",
+
+            // Tie-breaking strategy among candidates of the same priority:
+            // "priority" | "weighted" | "round_robin" | "least_recently_shown"
+            selectionStrategy: "priority",
+
+            // Per candidate group overrides, e.g. { checkout: "round_robin" }
+            // (group is passed to chooseSurvey(ids, { group: "checkout" })).
+            selectionStrategies: {},
+
+            // "Remind me later" records and the page-view counter they are measured against
+            remindKeyPrefix: "nebs_remind_",
+            pageViewsKey: "nebs_page_views",
+
+            // Visit counter (a new visit starts after visitTimeoutMinutes without page views)
+            visitsKey: "nebs_visits",
+            visitTimeoutMinutes: 30,
+
+            // Counts the page view on the first chooseSurvey() of the page when trackPageView()
+            // was not called yet (false => the caller counts every page with trackPageView())
+            autoTrackPageView: true,
+
+            // Visitor context for survey `audience` blocks: an object or a function returning one
+            // (device, login state, data-layer attributes, ...). Merged over the built-in counters
+            // (visits, page_views, visit_page_views, returning, days_since_first_visit, device)
+            // and under chooseSurvey(ids, { visitor }).
+            visitorContext: null,
+
+            // Default delay before a survey the visitor asked to be reminded about is eligible
+            // again (surveys may set remind_after_hours / remind_after_pages)
+            remindAfterHours: 24,
+
+            // Persisted selection state: round-robin pointers and last invitation times
+            roundRobinKeyPrefix: "nebs_rr_",
+            lastShownKey: "nebs_last_shown",
+            selectionStateDays: 365,
+
+            // Random source for weighted selection () => [0, 1); null => Math.random
+            random: null,
+
+            // Clock () => epoch ms; inject a fixed clock to simulate any date in tests.
+            now: null,
+
+            // Default IANA timezone for survey schedules without `timezone` ("" => browser local time)
+            scheduleTimezone: "",
+
+            // Visitor identifier used for deterministic sampling buckets:
+            // a string or a function returning one (e.g. a hashed customer ID).
+            visitorId: null,
+
+            // Cookie holding an existing visitor ID (used when visitorId is not set)
+            visitorIdCookie: "",
+
+            // Storage key and lifetime (days) of the generated visitor ID (last resort)
+            visitorIdStorageKey: "nebs_visitor_id",
+            visitorIdDays: 365,
+
+            // Global seed mixed into every bucket hash; change it to reshuffle all buckets.
+            samplingSeed: "",
+
+            // Debug/preview only: survey ID returned by chooseSurvey() regardless of candidates,
+            // schedule, caps, quarantine and sampling (see SurveyDebugOverlay.js); once shown,
+            // it is recorded like any other invitation
+            forceSurveyId: null,
+
             // Event hook for external tracking/logging
             // (type, payload) => void
             onEvent: null,
 
-            // Logger hook (msg) => void
-            logger: null
-        };
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        // Survey configurations by surveyId (string keys)
+        this.surveyConfigurations = {};
+
+        // Report of the last validation run (see SurveyConfigValidator)
+        this.validationReport = null;
+
+        // Lazily created default storage (used when config.storage is not set)
+        this.defaultStorage = null;
+
+        // Resolved visitor ID (cached for the lifetime of the instance)
+        this.visitorId = null;
+
+        // Lazily created audience evaluator (see getAudienceEvaluator())
+        this.audienceEvaluator = null;
+
+        // Unsubscribe function of the connected InvitationRenderer (if any)
+        this.rendererUnsubscribe = null;
+
+        // Storage record format: { v, value, expiry, created } (expiry absent for session entries)
+        this.recordVersion = 1;
+
+        // Writes held in memory until consent is granted (key => record)
+        this.deferredWrites = {};
+        this.consentUnsubscribe = null;
+
+        // True while explain() runs: storage writes and events are suppressed
+        this.dryRun = false;
+
+        // True once the current page was counted (trackPageView(), or automatically by chooseSurvey())
+        this.pageViewTracked = false;
+
+        this.onRendererEvent = this.onRendererEvent.bind(this);
+        this.onConsentChange = this.onConsentChange.bind(this);
+
+        if (this.config.housekeeping) this.sweepStorage();
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+
+            // Re-resolve the visitor ID if its sources changed.
+            if ("visitorId" in partialConfig || "visitorIdCookie" in partialConfig || "storage" in partialConfig) {
+                this.visitorId = null;
+            }
+        }
+        return this;
+    }
+
+    setSurveyConfigurations(configurations) {
+        var input = configurations && typeof configurations === "object" ? configurations : {};
+
+        // SurveyConfigValidator.js is optional: without it, configurations are used as given.
+        if (this.config.validation === "off" || typeof SurveyConfigValidator === "undefined") {
+            if (this.config.validation !== "off") this.log("SURVEY: SurveyConfigValidator not loaded - validation skipped");
+            this.surveyConfigurations = input;
+            this.validationReport = null;
+            return this;
+        }
+
+        var validator = new SurveyConfigValidator({
+            mode: this.config.validation,
+            knownDisplays: this.config.knownDisplays,
+            onEvent: this.emit.bind(this),
+            logger: this.log.bind(this)
+        });
+
+        var report = validator.validate(input);
+        this.validationReport = report;
+        this.surveyConfigurations = report.configurations;
+
+        for (var i = 0; i < report.errors.length; i++) {
+            this.emit("survey_config_invalid", report.errors[i]);
+        }
+
+        return this;
+    }
+
+    /**
+     * Returns the report of the last validation run (null if validation is off or skipped).
+     */
+    getValidationReport() {
+        return this.validationReport;
+    }
+
+    /* =========================
+        PUBLIC ENGINE API
+       ========================= */
+
+    /**
+     * Selects the best survey among candidates by:
+     * 1) grouping candidates into priority tiers (highest first)
+     * 2) ordering each tier with the selection strategy
+     * 3) applying the audience, schedule window, global contact-frequency caps, quarantine and
+     *    percentage sampling to the tier members in that order, stopping at the first that passes
+     *
+     * Strategies (resolved from options.strategy, config.selectionStrategies[group],
+     * then config.selectionStrategy):
+     * - "priority": candidate order (first listed wins ties)
+     * - "weighted": weighted random order using each survey's `weight` (default 1)
+     * - "round_robin": rotates after the survey chosen last time for the group (persisted)
+     * - "least_recently_shown": surveys never shown first, then oldest invitation first
+     *
+     * @param {Array<string|number>} candidateSurveyIds - list of candidate IDs (chosen externally)
+     * @param {object} [options] - { strategy, group, visitor } where group names the candidate set
+     *                            and visitor extends the visitor context (see getVisitorContext())
+     * The first call of a page also counts the page view (visits, page_views, remind_after_pages)
+     * unless trackPageView() already did (see `autoTrackPageView`).
+     *
+     * @returns {object|null} - chosen survey configuration or null
+     */
+    chooseSurvey(candidateSurveyIds, options) {
+        var ids = this.normalizeSurveyIdToArray(candidateSurveyIds);
+
+        if (this.config.autoTrackPageView && !this.pageViewTracked) this.trackPageView();
+
+        // Debug/preview: the forced survey wins without targeting, caps, quarantine or sampling checks.
+        // Showing and answering it still records contact history and quarantines as usual.
+        var forced = this.config.forceSurveyId ? this.findSurveyConfig(this.config.forceSurveyId) : null;
+        if (forced) {
+            this.emit("survey_forced", { survey_id: forced.survey_id, candidates: ids });
+            return forced;
+        }
+
+        if (!ids.length) return null;
+
+        var opts = options || {};
+        var group = opts.group ? String(opts.group) : ids.slice().sort().join(",");
+        var strategy = this.getSelectionStrategy(opts.strategy, group);
+        var tiers = this.buildPriorityTiers(ids);
+        var visitor = null;
+
+        for (var t = 0; t < tiers.length; t++) {
+            var ordering = this.orderTier(tiers[t].entries, strategy, group);
+
+            for (var i = 0; i < ordering.entries.length; i++) {
+                var cfg = ordering.entries[i].cfg;
+
+                if (cfg.audience && !visitor) visitor = this.getVisitorContext(opts.visitor);
+                if (!this.passesAudience(cfg, visitor)) continue;
+                if (!this.passesSchedule(cfg) || !this.passesFrequencyCaps(cfg) || !this.passesStorageRules(cfg)) continue;
+
+                if (strategy === "round_robin") this.saveRoundRobinState(group, cfg.survey_id);
+
+                this.emit("survey_chosen", {
+                    survey_id: cfg.survey_id,
+                    priority: tiers[t].priority,
+                    strategy: strategy,
+                    group: group,
+                    tier: tiers[t].entries.map(function (x) { return x.cfg.survey_id; }),
+                    position: i,
+                    reason: ordering.reason
+                });
+                return cfg;
+            }
+        }
+
+        this.emit("survey_none_chosen", { candidates: ids, strategy: strategy, group: group });
+        return null;
+    }
+
+    /**
+     * Dry run of chooseSurvey(): explains what it would decide now, without writing
+     * storage, emitting events or consuming randomness.
+     *
+     * Every candidate is checked in full (schedule, frequency caps, quarantine, remind later,
+     * sampling), even where chooseSurvey() would stop at the first failing rule.
+     * Weighted tiers keep the candidate order and report each eligible survey's chance instead.
+     *
+     * @param {Array<string|number>} candidateSurveyIds - list of candidate IDs
+     * @param {object} [context] - chooseSurvey() options ({ strategy, group, visitor }) plus
+     *                             `now` (epoch ms or Date) to explain at another instant
+     * @returns {object} - { chosen, forced, strategy, group, evaluated_at, visitor, random_order, tiers, candidates }
+     *                     where candidates[] is a trace per candidate (see explainCandidate())
+     */
+    explain(candidateSurveyIds, context) {
+        var ctx = context || {};
+        var clock = this.config.now;
+        var at = ctx.now && typeof ctx.now.getTime === "function" ? ctx.now.getTime() : ctx.now;
+
+        this.dryRun = true;
+        if (typeof at === "number" && !isNaN(at)) this.config.now = function () { return at; };
+
+        try {
+            return this.buildExplanation(this.normalizeSurveyIdToArray(candidateSurveyIds), ctx);
+        } finally {
+            this.dryRun = false;
+            this.config.now = clock;
+        }
+    }
+
+    /**
+     * Marks a survey as quarantined for a given number of days (or session if days is 0).
+     * This is useful if you want to quarantine when the invitation is actually shown.
+     */
+    quarantineSurvey(surveyId, days) {
+        var sid = String(surveyId);
+        var key = this.config.quarantineKeyPrefix + sid;
+
+        if (days && days > 0) {
+            this.setWithExpiry(key, "true", parseFloat(days));
+            this.emit("survey_quarantined", { survey_id: sid, days: days, storage: "local" });
+        } else {
+            this.setWithExpiry(key, "true", 0);
+            this.emit("survey_quarantined", { survey_id: sid, days: 0, storage: "session" });
+        }
+    }
+
+    /**
+     * Lists active quarantines, soonest expiry first (session quarantines last):
+     * [{ survey_id, key, created_at, expires_at, session, remaining_hours }]
+     */
+    listQuarantines() {
+        var prefix = this.config.quarantineKeyPrefix;
+        var keys = this.listStorageKeys();
+        var result = [];
+
+        for (var i = 0; i < keys.length; i++) {
+            if (!prefix || keys[i].indexOf(prefix) !== 0) continue;
+
+            var entry = this.getQuarantine(keys[i].slice(prefix.length));
+            if (entry) result.push(entry);
+        }
+
+        result.sort(function (a, b) {
+            return (a.expires_at ? Date.parse(a.expires_at) : Infinity) - (b.expires_at ? Date.parse(b.expires_at) : Infinity);
+        });
+        return result;
+    }
+
+    /**
+     * Returns a survey's active quarantine (see listQuarantines()), or null.
+     */
+    getQuarantine(surveyId) {
+        var sid = String(surveyId);
+        var key = this.config.quarantineKeyPrefix + sid;
+        var record = this.readRecord(key);
+        if (!record || !record.value) return null;
+
+        return {
+            survey_id: sid,
+            key: key,
+            created_at: record.created ? new Date(record.created).toISOString() : null,
+            expires_at: record.expiry ? new Date(record.expiry).toISOString() : null,
+            session: !record.expiry,
+            remaining_hours: record.expiry ? Math.max(0, (record.expiry - this.now()) / (60 * 60 * 1000)) : null
+        };
+    }
+
+    /**
+     * Lifts a survey's quarantine. Returns true if there was one.
+     */
+    clearQuarantine(surveyId) {
+        var sid = String(surveyId);
+        if (!this.getQuarantine(sid)) return false;
+
+        this.removeStorageKey(this.config.quarantineKeyPrefix + sid);
+        this.emit("survey_quarantine_cleared", { survey_id: sid });
+        return true;
+    }
+
+    /**
+     * Moves a quarantine's expiry by `days` (negative shortens it; it is lifted once the expiry
+     * is reached). A session quarantine becomes persistent when extended, and is lifted when
+     * shortened. Returns the updated quarantine (see getQuarantine()), or null.
+     */
+    extendQuarantine(surveyId, days) {
+        var sid = String(surveyId);
+        var key = this.config.quarantineKeyPrefix + sid;
+        var record = this.readRecord(key);
+        var delta = parseFloat(days);
+
+        if (!record || !record.value || isNaN(delta) || !delta) return this.getQuarantine(sid);
+
+        var now = this.now();
+        var expiry = (record.expiry || now) + delta * 24 * 60 * 60 * 1000;
+
+        if ((!record.expiry && delta < 0) || expiry <= now) {
+            this.removeStorageKey(key);
+            this.emit("survey_quarantine_cleared", { survey_id: sid, days: delta });
+            return null;
+        }
+
+        // The session entry would otherwise linger next to the persistent one.
+        if (!record.expiry) this.removeStorageKey(key);
+
+        this.writeRecord(key, record.value, expiry, record.created);
+        this.emit("survey_quarantine_updated", { survey_id: sid, days: delta, expires_at: new Date(expiry).toISOString() });
+        return this.getQuarantine(sid);
+    }
+
+    /**
+     * Shortens a quarantine by `days` (see extendQuarantine()).
+     */
+    shortenQuarantine(surveyId, days) {
+        return this.extendQuarantine(surveyId, -Math.abs(parseFloat(days)));
+    }
+
+    /**
+     * Removes every quarantine and "remind me later" record (e.g. from the debug overlay).
+     * Returns the number of removed entries.
+     */
+    clearQuarantines() {
+        var keys = this.listOwnedKeys([this.config.quarantineKeyPrefix, this.config.remindKeyPrefix], []);
+
+        for (var i = 0; i < keys.length; i++) this.removeStorageKey(keys[i]);
+
+        this.emit("survey_quarantines_cleared", { count: keys.length });
+        return keys.length;
+    }
+
+    /**
+     * Records an invitation in the contact history (used by frequency caps and
+     * least_recently_shown). Called automatically on invitation_shown (connectRenderer());
+     * call it when the invitation is displayed when not using InvitationRenderer.
+     */
+    recordInvitation(surveyId) {
+        var now = this.now();
+        var history = this.getContactHistory();
+
+        history.invitations.push({ survey_id: String(surveyId), at: now });
+        this.saveContactHistory(history);
+
+        var lastShown = this.getWithExpiry(this.config.lastShownKey) || {};
+        lastShown[String(surveyId)] = now;
+        this.setWithExpiry(this.config.lastShownKey, lastShown, this.config.selectionStateDays);
+
+        var sessionCount = parseInt(this.getWithExpiry(this.config.sessionContactsKey), 10) || 0;
+        this.setWithExpiry(this.config.sessionContactsKey, String(sessionCount + 1), 0);
+    }
+
+    /**
+     * Counts a page view (used by remind_after_pages and audience counters). Call it once per
+     * route in single-page applications (SurveyNavigationController does it); on classic
+     * pages chooseSurvey() counts the page itself (see `autoTrackPageView`).
+     */
+    trackPageView() {
+        this.pageViewTracked = true;
+
+        var views = this.getPageViews() + 1;
+        this.setWithExpiry(this.config.pageViewsKey, String(views), this.config.selectionStateDays);
+        this.trackVisit();
+        return views;
+    }
+
+    /**
+     * Counts visits for audiences: a page view after visitTimeoutMinutes of inactivity
+     * (or the first one) starts a new visit. Called by trackPageView().
+     */
+    trackVisit() {
+        var now = this.now();
+        var record = this.getVisitRecord();
+        var timeoutMs = Math.max(0, parseFloat(this.config.visitTimeoutMinutes) || 0) * 60 * 1000;
+
+        if (!record.last_at || now - record.last_at > timeoutMs) {
+            record.count++;
+            record.page_views = 0;
+            if (!record.first_at) record.first_at = now;
+            this.emit("visit_started", { visits: record.count });
+        }
+
+        record.page_views++;
+        record.last_at = now;
+        this.setWithExpiry(this.config.visitsKey, record, this.config.selectionStateDays);
+    }
+
+    /**
+     * Reads the visit counter: { count, first_at, last_at, page_views (in the current visit) }.
+     */
+    getVisitRecord() {
+        var record = this.getWithExpiry(this.config.visitsKey);
+
+        if (!record || typeof record !== "object") {
+            record = { count: 0, first_at: 0, last_at: 0, page_views: 0 };
+        }
+
+        return record;
+    }
+
+    getPageViews() {
+        return parseInt(this.getWithExpiry(this.config.pageViewsKey), 10) || 0;
+    }
+
+    /**
+     * "Remind me later": lifts the survey's quarantine and blocks it only until
+     * remind_after_hours have elapsed or remind_after_pages pages have been viewed
+     * (whichever comes first; remindAfterHours when the survey sets neither).
+     */
+    remindLater(surveyId) {
+        var survey = this.findSurveyConfig(surveyId);
+        if (!survey) {
+            this.emit("survey_missing_config", { survey_id: String(surveyId) });
+            return;
+        }
+
+        var hours = parseFloat(survey.remind_after_hours);
+        var pages = parseInt(survey.remind_after_pages, 10);
+        if (!(hours > 0) && !(pages > 0)) hours = this.config.remindAfterHours;
+
+        var record = { until_page: pages > 0 ? this.getPageViews() + pages : null };
+        var days = hours > 0 ? hours / 24 : this.config.selectionStateDays;
+
+        this.removeStorageKey(this.config.quarantineKeyPrefix + survey.survey_id);
+        this.setWithExpiry(this.config.remindKeyPrefix + survey.survey_id, record, days);
+
+        this.emit("survey_remind_later_set", {
+            survey_id: survey.survey_id,
+            hours: hours > 0 ? hours : null,
+            pages: pages > 0 ? pages : null
+        });
+    }
+
+    /**
+     * Records a survey response ("completed", "declined", ...) for the
+     * minimum-gap-after-response cap. Called automatically on renderer events (connectRenderer()).
+     */
+    recordResponse(surveyId, response) {
+        var history = this.getContactHistory();
+
+        history.last_response = { survey_id: String(surveyId), response: response || "completed", at: this.now() };
+        this.saveContactHistory(history);
+        this.emit("survey_response_recorded", { survey_id: String(surveyId), response: history.last_response.response });
+    }
+
+    /* =========================
+        AUDIENCE
+       ========================= */
+
+    /**
+     * Builds the visitor context audiences are evaluated against: built-in counters, then
+     * config.visitorContext, then `extra` (later sources override earlier ones).
+     */
+    getVisitorContext(extra) {
+        var visit = this.getVisitRecord();
+        var context = {
+            visits: visit.count,
+            page_views: this.getPageViews(),
+            visit_page_views: visit.page_views,
+            returning: visit.count > 1,
+            days_since_first_visit: visit.first_at ? Math.floor((this.now() - visit.first_at) / (24 * 60 * 60 * 1000)) : 0,
+            device: this.detectDevice()
+        };
+
+        var configured = this.config.visitorContext;
+        if (typeof configured === "function") {
+            try {
+                configured = configured();
+            } catch (e) {
+                this.log("SURVEY: visitorContext failed - " + (e && e.message));
+                configured = null;
+            }
+        }
+
+        return Object.assign(context, configured && typeof configured === "object" ? configured : null, extra && typeof extra === "object" ? extra : null);
+    }
+
+    /**
+     * Coarse device type from the browser: "mobile" | "tablet" | "desktop".
+     */
+    detectDevice() {
+        if (typeof navigator === "undefined" || !navigator) return "desktop";
+
+        var ua = String(navigator.userAgent || "");
+        if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(ua)) return "tablet";
+        if ((navigator.userAgentData && navigator.userAgentData.mobile) || /Mobi|iPhone|iPod|Android/i.test(ua)) return "mobile";
+        return "desktop";
+    }
+
+    /**
+     * Applies the survey's `audience` block (no audience => everyone).
+     */
+    passesAudience(survey, visitor) {
+        if (!survey.audience) return true;
+
+        var result = this.getAudienceEvaluator().evaluate(survey.audience, visitor);
+        if (result.matched) return true;
+
+        this.emit("survey_audience_not_matched", { survey_id: survey.survey_id, reason: result.reason });
+        this.log("SURVEY: survey " + survey.survey_id + " audience not matched (" + result.reason + ")");
+        return false;
+    }
+
+    getAudienceEvaluator() {
+        if (!this.audienceEvaluator) {
+            this.audienceEvaluator = new AudienceEvaluator({
+                onEvent: this.emit.bind(this),
+                logger: this.log.bind(this)
+            });
+        }
+        return this.audienceEvaluator;
+    }
+
+    /* =========================
+        RENDERER LIFECYCLE WIRING
+       ========================= */
+
+    /**
+     * Subscribes to an InvitationRenderer so that quarantine triggers and
+     * responses are applied automatically from invitation lifecycle events.
+     */
+    connectRenderer(renderer) {
+        this.disconnectRenderer();
+
+        if (renderer && typeof renderer.addListener === "function") {
+            this.rendererUnsubscribe = renderer.addListener(this.onRendererEvent);
+        }
+        return this;
+    }
+
+    disconnectRenderer() {
+        if (this.rendererUnsubscribe) {
+            this.rendererUnsubscribe();
+            this.rendererUnsubscribe = null;
+        }
+        return this;
+    }
+
+    /* =========================
+        CONSENT
+       ========================= */
+
+    /**
+     * Gates storage on a ConsentGate: without consent, reads and writes only use memory for
+     * the current page (decisions stay consistent) and writes are persisted once consent is
+     * granted. Stored engine entries are removed whenever consent is missing (e.g. denied on
+     * an earlier page) or withdrawn.
+     */
+    connectConsent(gate) {
+        this.disconnectConsent();
+        this.config.consent = gate || null;
+
+        if (gate && typeof gate.addListener === "function") {
+            this.consentUnsubscribe = gate.addListener(this.onConsentChange);
+        }
+        if (this.hasStorageConsent()) {
+            this.flushDeferredWrites();
+        } else {
+            this.clearStoredDataWithoutConsent();
+        }
+        return this;
+    }
+
+    disconnectConsent() {
+        if (this.consentUnsubscribe) {
+            this.consentUnsubscribe();
+            this.consentUnsubscribe = null;
+        }
+        return this;
+    }
+
+    onConsentChange(granted) {
+        if (granted) {
+            this.flushDeferredWrites();
+        } else {
+            this.clearStoredDataWithoutConsent();
+        }
+    }
+
+    /**
+     * Removes stored entries (deferred writes of the current page are kept: they are only
+     * persisted if consent is granted later).
+     */
+    clearStoredDataWithoutConsent() {
+        var deferred = Object.assign({}, this.deferredWrites);
+        var keys = this.listOwnedKeys();
+        var removed = 0;
+
+        for (var i = 0; i < keys.length; i++) {
+            if (this.hasStoredItem(keys[i])) removed++;
+            this.removeStorageKey(keys[i]);
+        }
+        this.deferredWrites = deferred;
+
+        if (removed) this.emit("storage_cleared_consent_withdrawn", { removed: removed });
+    }
+
+    hasStorageConsent() {
+        var gate = this.config.consent;
+        return !gate || typeof gate.isGranted !== "function" || !!gate.isGranted();
+    }
+
+    /**
+     * Persists writes deferred while consent was missing.
+     */
+    flushDeferredWrites() {
+        var writes = this.deferredWrites;
+        var keys = Object.keys(writes);
+        this.deferredWrites = {};
+
+        for (var i = 0; i < keys.length; i++) {
+            this.writeRecord(keys[i], writes[keys[i]].value, writes[keys[i]].expiry, writes[keys[i]].created);
+        }
+
+        if (keys.length) this.emit("storage_deferred_writes_flushed", { count: keys.length });
+    }
+
+    /**
+     * Removes every entry the engine stores: quarantines, remind-later records, contact
+     * history, selection state, page views, visits and the generated visitor ID.
+     */
+    clearStoredData() {
+        var keys = this.listOwnedKeys();
+
+        for (var i = 0; i < keys.length; i++) this.removeStorageKey(keys[i]);
+
+        this.deferredWrites = {};
+    }
+
+    /**
+     * Maps renderer events to lifecycle phases.
+     */
+    onRendererEvent(type, payload) {
+        var surveyId = payload && payload.survey_id;
+        if (!surveyId) return;
+
+        if (type === "invitation_shown") {
+            // Only displayed invitations count against the caps (not chosen-but-never-shown ones).
+            this.recordInvitation(surveyId);
+            this.handleInvitationLifecycle(surveyId, "shown");
+        }
+        if (type === "invitation_accepted") this.handleInvitationLifecycle(surveyId, "accept");
+        if (type === "invitation_declined") this.handleInvitationLifecycle(surveyId, "decline");
+        if (type === "invitation_closed" || type === "invitation_auto_dismissed") this.handleInvitationLifecycle(surveyId, "dismiss");
+        if (type === "invitation_remind_later") this.handleInvitationLifecycle(surveyId, "remind");
+    }
+
+    /**
+     * Applies the survey's quarantine trigger for a lifecycle phase ("shown", "accept", "decline",
+     * "dismiss", "remind") and records responses for the frequency caps. Call it directly when
+     * not using InvitationRenderer.
+     *
+     * - quarantine_trigger: "on_sample" (default) | "on_shown" | "on_accept" | "on_decline"
+     * - quarantine_accept / quarantine_decline: days applied on that response, regardless of
+     *   the trigger (they replace `quarantine` once the visitor has answered).
+     * - quarantine_dismiss: days applied when the invitation is closed or auto-dismissed
+     *   (not a response: the decline quarantine does not apply).
+     * - "remind": see remindLater().
+     */
+    handleInvitationLifecycle(surveyId, phase) {
+        var survey = this.findSurveyConfig(surveyId);
+        if (!survey) {
+            this.emit("survey_missing_config", { survey_id: String(surveyId) });
+            return;
+        }
+
+        if (phase === "remind") {
+            this.remindLater(survey.survey_id);
+            return;
+        }
+
+        if (phase === "accept" || phase === "decline") {
+            this.recordResponse(survey.survey_id, phase === "accept" ? "completed" : "declined");
+        }
+
+        var trigger = this.getQuarantineTrigger(survey);
+        var days = null;
+
+        if (phase === "accept" && this.hasDays(survey.quarantine_accept)) {
+            days = survey.quarantine_accept;
+        } else if (phase === "decline" && this.hasDays(survey.quarantine_decline)) {
+            days = survey.quarantine_decline;
+        } else if (phase === "dismiss" && this.hasDays(survey.quarantine_dismiss)) {
+            days = survey.quarantine_dismiss;
+        } else if (trigger === "on_" + phase) {
+            days = survey.quarantine;
+        }
+
+        var qDays = parseFloat(days);
+        if (isNaN(qDays) || qDays <= 0) return;
+
+        this.setWithExpiry(this.config.quarantineKeyPrefix + survey.survey_id, "true", qDays);
+        this.emit("survey_quarantine_set_on_" + phase, { survey_id: survey.survey_id, days: qDays, trigger: trigger });
+    }
+
+    /* =========================
+        DECISION EXPLANATION
+       ========================= */
+
+    /**
+     * Builds the explain() result (runs in dry-run mode).
+     */
+    buildExplanation(ids, ctx) {
+        var group = ctx.group ? String(ctx.group) : ids.slice().sort().join(",");
+        var strategy = this.getSelectionStrategy(ctx.strategy, group);
+        var forced = this.config.forceSurveyId ? this.findSurveyConfig(this.config.forceSurveyId) : null;
+        var visitor = this.getVisitorContext(ctx.visitor);
+
+        var result = {
+            chosen: null,
+            forced: forced ? String(forced.survey_id) : null,
+            strategy: strategy,
+            group: group,
+            evaluated_at: new Date(this.now()).toISOString(),
+            visitor: visitor,
+            random_order: false,
+            tiers: [],
+            candidates: []
+        };
+
+        var traces = {};
+        for (var i = 0; i < ids.length; i++) {
+            var trace = this.explainCandidate(ids[i], visitor);
+            traces[ids[i]] = trace;
+            result.candidates.push(trace);
+        }
+
+        var tiers = this.buildPriorityTiers(ids);
+        for (var t = 0; t < tiers.length; t++) {
+            var ordering = strategy === "weighted"
+                ? { entries: tiers[t].entries, reason: "weighted random among tier (order drawn at selection time)" }
+                : this.orderTier(tiers[t].entries, strategy, group);
+            var order = ordering.entries.map(function (x) { return String(x.cfg.survey_id); });
+            var random = strategy === "weighted" && order.length > 1;
+
+            result.tiers.push({ priority: tiers[t].priority, order: order, reason: ordering.reason });
+
+            for (var j = 0; j < ordering.entries.length; j++) {
+                var entryTrace = traces[ids[ordering.entries[j].index]];
+                entryTrace.tier_position = j;
+                if (random) entryTrace.weight = this.getWeight(ordering.entries[j].cfg);
+            }
+
+            if (result.chosen || forced) continue;
+
+            var eligible = ordering.entries.filter(function (x) {
+                return traces[ids[x.index]].verdict === "eligible";
+            });
+            if (!eligible.length) continue;
+
+            random = random && eligible.length > 1;
+            if (random) {
+                result.random_order = true;
+                this.explainWeightedChances(eligible, traces, ids);
+            }
+
+            result.chosen = String(eligible[0].cfg.survey_id);
+            traces[ids[eligible[0].index]].verdict = "chosen";
+            traces[ids[eligible[0].index]].reason = random
+                ? "eligible in the highest tier; weighted draw decides between " + eligible.length + " surveys"
+                : "first eligible survey in the highest tier (" + ordering.reason + ")";
+        }
+
+        if (forced) result.chosen = result.forced;
+
+        for (var k = 0; k < result.candidates.length; k++) {
+            var c = result.candidates[k];
+            if (forced && c.survey_id === result.forced) {
+                c.verdict = "forced";
+                c.reason = "forced by forceSurveyId (debug mode)";
+            } else if (c.verdict === "eligible") {
+                c.verdict = "not_chosen";
+                c.reason = forced ? "another survey is forced" : "passes every rule but ranks below " + result.chosen;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Trace of one candidate:
+     * { survey_id, config_found, priority, tier_position, audience, schedule, frequency_cap,
+     *   quarantine, remind_later, sampling, verdict, reason }
+     *
+     * verdict: "chosen" | "forced" | "not_chosen" | "missing_config" | "invalid_priority" |
+     *          "audience_not_matched" | "outside_schedule" | "frequency_cap" | "quarantined" |
+     *          "remind_later" | "sampled_out"
+     */
+    explainCandidate(surveyId, visitor) {
+        var sid = String(surveyId);
+        var survey = this.surveyConfigurations[sid];
+        var trace = {
+            survey_id: sid,
+            config_found: !!survey,
+            priority: null,
+            tier_position: null,
+            audience: null,
+            schedule: null,
+            frequency_cap: null,
+            quarantine: null,
+            remind_later: null,
+            sampling: null,
+            verdict: "eligible",
+            reason: ""
+        };
+
+        if (!survey) {
+            trace.verdict = "missing_config";
+            trace.reason = "no configuration for this survey ID";
+            return trace;
+        }
+
+        var priority = parseInt(survey.priority, 10);
+        trace.priority = isNaN(priority) ? null : priority;
+
+        if (survey.audience) trace.audience = this.getAudienceEvaluator().evaluate(survey.audience, visitor);
+
+        var scheduleReason = this.checkSchedule(survey);
+        trace.schedule = { passed: !scheduleReason, reason: scheduleReason };
+
+        trace.frequency_cap = this.checkFrequencyCaps(survey);
+
+        var quarantine = this.readRecord(this.config.quarantineKeyPrefix + survey.survey_id);
+        trace.quarantine = {
+            active: !!(quarantine && quarantine.value),
+            expires_at: quarantine && quarantine.expiry ? new Date(quarantine.expiry).toISOString() : null,
+            trigger: this.getQuarantineTrigger(survey),
+            days: this.hasDays(survey.quarantine) ? parseFloat(survey.quarantine) : null
+        };
+
+        var remind = this.readRecord(this.config.remindKeyPrefix + survey.survey_id);
+        if (remind && remind.value && typeof remind.value === "object") {
+            trace.remind_later = {
+                active: this.isRemindPending(survey),
+                expires_at: remind.expiry ? new Date(remind.expiry).toISOString() : null,
+                until_page: remind.value.until_page || null,
+                page_views: this.getPageViews()
+            };
+        }
+
+        var percentage = parseFloat(survey.percentage);
+        if (isNaN(percentage)) percentage = 0;
+
+        // A visitor without an ID yet gets a new one (and a new bucket) on the real selection.
+        var bucket = this.resolveVisitorId() ? this.getSamplingBucket(survey) : null;
+        trace.sampling = {
+            bucket: bucket,
+            percentage: percentage,
+            sampled: bucket === null ? null : bucket < percentage,
+            mode: this.config.userSampling ? "user" : "event"
+        };
+
+        if (trace.priority === null) {
+            trace.verdict = "invalid_priority";
+            trace.reason = "priority " + survey.priority + " is not a number";
+        } else if (trace.audience && !trace.audience.matched) {
+            trace.verdict = "audience_not_matched";
+            trace.reason = trace.audience.reason;
+        } else if (scheduleReason) {
+            trace.verdict = "outside_schedule";
+            trace.reason = scheduleReason;
+        } else if (trace.frequency_cap) {
+            trace.verdict = "frequency_cap";
+            trace.reason = trace.frequency_cap.cap + " (" + trace.frequency_cap.value + " / " + trace.frequency_cap.limit + ")";
+        } else if (trace.quarantine.active) {
+            trace.verdict = "quarantined";
+            trace.reason = trace.quarantine.expires_at ? "quarantined until " + trace.quarantine.expires_at : "quarantined for this session";
+        } else if (trace.remind_later && trace.remind_later.active) {
+            trace.verdict = "remind_later";
+            trace.reason = "visitor asked to be reminded later";
+        } else if (bucket === null) {
+            trace.reason = "no visitor ID yet: sampled on first selection (" + percentage + "%)";
+        } else if (!trace.sampling.sampled) {
+            trace.verdict = "sampled_out";
+            trace.reason = "bucket " + bucket + " >= " + percentage + "%";
+        } else {
+            trace.reason = "bucket " + bucket + " < " + percentage + "%";
+        }
+
+        return trace;
+    }
+
+    /**
+     * Sets each eligible survey's chance of being drawn first in a weighted tier.
+     */
+    explainWeightedChances(eligible, traces, ids) {
+        var weights = eligible.map(this.getWeight, this);
+        var total = weights.reduce(function (sum, w) { return sum + w; }, 0);
+
+        for (var i = 0; i < eligible.length; i++) {
+            traces[ids[eligible[i].index]].chance = total > 0 ? weights[i] / total : 1 / eligible.length;
+        }
+    }
+
+    /**
+     * Survey `weight` for weighted selection (default 1).
+     */
+    getWeight(entryOrCfg) {
+        var cfg = entryOrCfg && entryOrCfg.cfg ? entryOrCfg.cfg : entryOrCfg;
+        var w = parseFloat(cfg.weight);
+        return isNaN(w) || w < 0 ? 1 : w;
+    }
+
+    /* =========================
+        INTERNAL SELECTION LOGIC
+       ========================= */
+
+    /**
+     * Resolves candidate configurations into priority tiers, highest priority first.
+     * Each entry keeps the candidate order: { priority, entries: [{ cfg, index }] }.
+     */
+    buildPriorityTiers(ids) {
+        var tiersByPriority = {};
+        var priorities = [];
+
+        for (var i = 0; i < ids.length; i++) {
+            var surveyId = String(ids[i]);
+            var cfg = this.surveyConfigurations[surveyId];
+
+            if (!cfg) {
+                this.emit("survey_missing_config", { survey_id: surveyId });
+                continue;
+            }
+
+            // Never mutate the caller's configuration (it may be shared or frozen).
+            var priority = parseInt(cfg.priority, 10);
+            if (isNaN(priority)) {
+                this.emit("survey_invalid_priority", { survey_id: cfg.survey_id, priority: cfg.priority });
+                continue;
+            }
+
+            if (!tiersByPriority[priority]) {
+                tiersByPriority[priority] = { priority: priority, entries: [] };
+                priorities.push(priority);
+            }
+            tiersByPriority[priority].entries.push({ cfg: cfg, index: i });
+        }
+
+        priorities.sort(function (a, b) { return b - a; });
+        return priorities.map(function (p) { return tiersByPriority[p]; });
+    }
+
+    /**
+     * Returns the strategy for a call: explicit > per group > global default.
+     */
+    getSelectionStrategy(explicitStrategy, group) {
+        var byGroup = this.config.selectionStrategies || {};
+        var strategy = explicitStrategy || byGroup[group] || this.config.selectionStrategy;
+        var known = ["priority", "weighted", "round_robin", "least_recently_shown"];
+
+        if (known.indexOf(strategy) === -1) {
+            this.log("SURVEY: unknown selection strategy " + strategy + ", using priority");
+            return "priority";
+        }
+        return strategy;
+    }
+
+    /**
+     * Orders the entries of one priority tier according to the strategy.
+     * Returns { entries, reason } where reason explains the order for the survey_chosen event.
+     */
+    orderTier(entries, strategy, group) {
+        if (entries.length < 2) {
+            return { entries: entries, reason: "only candidate in its priority tier" };
+        }
+
+        if (strategy === "weighted") return this.orderWeighted(entries);
+        if (strategy === "round_robin") return this.orderRoundRobin(entries, group);
+        if (strategy === "least_recently_shown") return this.orderLeastRecentlyShown(entries);
+
+        return { entries: entries, reason: "priority tie broken by candidate order" };
+    }
+
+    /**
+     * Weighted random order (sampling without replacement) by survey `weight`.
+     */
+    orderWeighted(entries) {
+        var pool = entries.map(function (x) {
+            return { entry: x, weight: this.getWeight(x) };
+        }, this);
+        var weights = pool.map(function (x) { return x.entry.cfg.survey_id + "=" + x.weight; }).join(", ");
+        var ordered = [];
+
+        while (pool.length) {
+            var total = pool.reduce(function (sum, x) { return sum + x.weight; }, 0);
+            var roll = this.random() * total;
+            var pick = pool.length - 1;
+
+            for (var i = 0; i < pool.length; i++) {
+                roll -= pool[i].weight;
+                if (roll < 0) {
+                    pick = i;
+                    break;
+                }
+            }
+
+            ordered.push(pool[pick].entry);
+            pool.splice(pick, 1);
+        }
+
+        return { entries: ordered, reason: "weighted random among tier (" + weights + ")" };
+    }
+
+    /**
+     * Rotates the tier so that the survey following the last chosen one comes first.
+     */
+    orderRoundRobin(entries, group) {
+        var last = this.getWithExpiry(this.getRoundRobinKey(group));
+        var lastIndex = -1;
+
+        for (var i = 0; i < entries.length; i++) {
+            if (String(entries[i].cfg.survey_id) === String(last)) lastIndex = i;
+        }
+
+        var start = (lastIndex + 1) % entries.length;
+        var ordered = entries.slice(start).concat(entries.slice(0, start));
+
+        return {
+            entries: ordered,
+            reason: last ? "round robin after " + last : "round robin start (no previous choice)"
+        };
+    }
+
+    /**
+     * Orders by last invitation time: never shown first, then oldest first (ties keep candidate order).
+     */
+    orderLeastRecentlyShown(entries) {
+        var lastShown = this.getWithExpiry(this.config.lastShownKey) || {};
+        var ordered = entries.slice().sort(function (a, b) {
+            var ta = lastShown[a.cfg.survey_id] || 0;
+            var tb = lastShown[b.cfg.survey_id] || 0;
+            return ta !== tb ? ta - tb : a.index - b.index;
+        });
+
+        return {
+            entries: ordered,
+            reason: "least recently shown (" + ordered.map(function (x) {
+                var at = lastShown[x.cfg.survey_id];
+                return x.cfg.survey_id + "=" + (at ? new Date(at).toISOString() : "never");
+            }).join(", ") + ")"
+        };
+    }
+
+    getRoundRobinKey(group) {
+        return this.config.roundRobinKeyPrefix + this.hashString(String(group)).toString(36);
+    }
+
+    saveRoundRobinState(group, surveyId) {
+        this.setWithExpiry(this.getRoundRobinKey(group), String(surveyId), this.config.selectionStateDays);
+    }
+
+    /**
+     * Current time in epoch ms (config.now allows an injected clock).
+     */
+    now() {
+        return typeof this.config.now === "function" ? Number(this.config.now()) : Date.now();
+    }
+
+    /**
+     * Random source for weighted selection (config.random allows a seeded generator in tests).
+     */
+    random() {
+        return typeof this.config.random === "function" ? this.config.random() : Math.random();
+    }
+
+    /**
+     * Applies the survey's schedule window (dates, weekdays, hours) before sampling.
+     */
+    passesSchedule(survey) {
+        var reason = this.checkSchedule(survey);
+        if (!reason) return true;
+
+        this.emit("survey_outside_schedule", { survey_id: survey.survey_id, reason: reason, now: new Date(this.now()).toISOString() });
+        this.log("SURVEY: survey " + survey.survey_id + " is outside its schedule (" + reason + ")");
+        return false;
+    }
 
-        this.setConfig(options || {});
+    /**
+     * Returns why the survey is outside its schedule, or null if it may run now.
+     *
+     * Schedule fields (all optional):
+     * - start_date / end_date: "YYYY-MM-DD" (whole days, inclusive, in the survey timezone)
+     *   or a full ISO timestamp (exact instant)
+     * - timezone: IANA name, e.g. "Europe/Rome" (defaults to config.scheduleTimezone / local time)
+     * - weekdays: [0-6] (0 = Sunday) or names ["mon", "tue", ...]
+     * - hour_from / hour_to: hour range [from, to) in 0-24; from > to spans midnight
+     */
+    checkSchedule(survey) {
+        var hasSchedule = ["start_date", "end_date", "weekdays", "hour_from", "hour_to"].some(function (f) {
+            return survey[f] !== null && typeof survey[f] !== "undefined" && survey[f] !== "";
+        });
+        if (!hasSchedule) return null;
 
-        // Survey configurations by surveyId (string keys)
-        this.surveyConfigurations = {};
+        var now = this.now();
+        var parts = this.getZonedParts(now, survey.timezone || this.config.scheduleTimezone);
+        if (!parts) return "invalid_timezone";
+
+        var today = parts.date;
+
+        if (survey.start_date) {
+            var start = String(survey.start_date);
+            if (this.isDateOnly(start) ? today < start : now < Date.parse(start)) return "before_start_date";
+        }
+
+        if (survey.end_date) {
+            var end = String(survey.end_date);
+            if (this.isDateOnly(end) ? today > end : now > Date.parse(end)) return "after_end_date";
+        }
+
+        if (Array.isArray(survey.weekdays) && survey.weekdays.length) {
+            var names = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+            var allowed = survey.weekdays.map(function (d) {
+                var idx = names.indexOf(String(d).slice(0, 3).toLowerCase());
+                return idx !== -1 ? idx : parseInt(d, 10);
+            });
+            if (allowed.indexOf(parts.weekday) === -1) return "weekday_not_allowed";
+        }
+
+        var from = parseFloat(survey.hour_from);
+        var to = parseFloat(survey.hour_to);
+        if (isNaN(from)) from = 0;
+        if (isNaN(to)) to = 24;
+
+        var hour = parts.hour + parts.minute / 60;
+        var inRange = from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+        if (!inRange) return "outside_hours";
+
+        return null;
     }
 
-    /* =========================
-        PUBLIC CONFIGURATION API
-       ========================= */
+    /**
+     * Returns { date: "YYYY-MM-DD", weekday: 0-6, hour, minute } for an instant in a timezone,
+     * or null if the timezone is not supported.
+     */
+    getZonedParts(timestamp, timezone) {
+        var date = new Date(timestamp);
 
-    setConfig(partialConfig) {
-        if (partialConfig && typeof partialConfig === "object") {
-            Object.assign(this.config, partialConfig);
+        if (!timezone) {
+            return {
+                date: date.getFullYear() + "-" + this.pad2(date.getMonth() + 1) + "-" + this.pad2(date.getDate()),
+                weekday: date.getDay(),
+                hour: date.getHours(),
+                minute: date.getMinutes()
+            };
         }
-        return this;
+
+        var values = {};
+        try {
+            var formatter = new Intl.DateTimeFormat("en-US", {
+                timeZone: String(timezone),
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                weekday: "short",
+                hourCycle: "h23"
+            });
+            formatter.formatToParts(date).forEach(function (p) { values[p.type] = p.value; });
+        } catch (e) {
+            this.log("SURVEY: unsupported schedule timezone " + timezone);
+            return null;
+        }
+
+        return {
+            date: values.year + "-" + values.month + "-" + values.day,
+            weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(values.weekday),
+            hour: parseInt(values.hour, 10) % 24,
+            minute: parseInt(values.minute, 10)
+        };
     }
 
-    setSurveyConfigurations(configurations) {
-        this.surveyConfigurations = configurations && typeof configurations === "object" ? configurations : {};
-        return this;
+    isDateOnly(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value);
     }
 
-    /* =========================
-        PUBLIC ENGINE API
-       ========================= */
+    pad2(n) {
+        return (n < 10 ? "0" : "") + n;
+    }
 
     /**
-     * Selects the best survey among candidates by:
-     * 1) filtering by quarantine
-     * 2) applying percentage sampling
-     * 3) choosing the highest priority survey that passes
-     *
-     * @param {Array<string|number>} candidateSurveyIds - list of candidate IDs (chosen externally)
-     * @returns {object|null} - chosen survey configuration or null
+     * Applies global contact-frequency caps (with per-survey overrides).
      */
-    chooseSurvey(candidateSurveyIds) {
-        var ids = this.normalizeSurveyIdToArray(candidateSurveyIds);
-        if (!ids.length) return null;
+    passesFrequencyCaps(survey) {
+        var blocked = this.checkFrequencyCaps(survey);
+        if (!blocked) return true;
 
-        var maxPriority = -1;
-        var chosen = null;
+        blocked.survey_id = survey.survey_id;
+        this.emit("survey_blocked_by_frequency_cap", blocked);
+        this.log("SURVEY: survey " + survey.survey_id + " blocked by frequency cap " + blocked.cap);
+        return false;
+    }
 
-        for (var i = 0; i < ids.length; i++) {
-            var surveyId = String(ids[i]);
-            var cfg = this.surveyConfigurations[surveyId];
+    /**
+     * Returns the first cap that fires as { cap, limit, value }, or null if none does.
+     */
+    checkFrequencyCaps(survey) {
+        var caps = this.getFrequencyCaps(survey);
+        var history = this.getContactHistory();
+        var now = this.now();
+        var hourMs = 60 * 60 * 1000;
 
-            if (!cfg) {
-                this.emit("survey_missing_config", { survey_id: surveyId });
-                continue;
+        if (caps.maxPerSession > 0) {
+            var sessionCount = parseInt(this.getWithExpiry(this.config.sessionContactsKey), 10) || 0;
+            if (sessionCount >= caps.maxPerSession) {
+                return { cap: "max_per_session", limit: caps.maxPerSession, value: sessionCount };
             }
+        }
 
-            if (typeof cfg.priority !== "number") {
-                cfg.priority = parseInt(cfg.priority, 10);
+        if (caps.maxPerPeriod > 0) {
+            var since = now - caps.periodDays * 24 * hourMs;
+            var periodCount = history.invitations.filter(function (x) { return x.at >= since; }).length;
+            if (periodCount >= caps.maxPerPeriod) {
+                return { cap: "max_per_period", limit: caps.maxPerPeriod, value: periodCount, period_days: caps.periodDays };
             }
+        }
 
-            if (cfg.priority > maxPriority && this.passesStorageRules(cfg)) {
-                chosen = cfg;
-                maxPriority = cfg.priority;
+        var lastInvitation = history.invitations.length ? history.invitations[history.invitations.length - 1] : null;
+        if (caps.minHoursAfterInvitation > 0 && lastInvitation) {
+            var hoursSinceInvitation = (now - lastInvitation.at) / hourMs;
+            if (hoursSinceInvitation < caps.minHoursAfterInvitation) {
+                return { cap: "min_gap_after_invitation", limit: caps.minHoursAfterInvitation, value: hoursSinceInvitation, last_survey_id: lastInvitation.survey_id };
             }
         }
 
-        if (chosen) {
-            this.emit("survey_chosen", { survey_id: chosen.survey_id, priority: chosen.priority });
-            return chosen;
+        var lastResponse = history.last_response;
+        if (caps.minHoursAfterResponse > 0 && lastResponse) {
+            var hoursSinceResponse = (now - lastResponse.at) / hourMs;
+            if (hoursSinceResponse < caps.minHoursAfterResponse) {
+                return { cap: "min_gap_after_response", limit: caps.minHoursAfterResponse, value: hoursSinceResponse, last_survey_id: lastResponse.survey_id };
+            }
         }
 
-        this.emit("survey_none_chosen", { candidates: ids });
         return null;
     }
 
     /**
-     * Marks a survey as quarantined for a given number of days (or session if days is 0).
-     * This is useful if you want to quarantine when the invitation is actually shown.
+     * Merges global caps with the survey's `frequency_caps` override, as numbers.
      */
-    quarantineSurvey(surveyId, days) {
-        var sid = String(surveyId);
-        var key = this.config.quarantineKeyPrefix + sid;
+    getFrequencyCaps(survey) {
+        var merged = Object.assign({}, this.config.frequencyCaps, survey && survey.frequency_caps);
+        var caps = {};
 
-        if (days && days > 0) {
-            this.setWithExpiry(key, "true", parseInt(days, 10));
-            this.emit("survey_quarantined", { survey_id: sid, days: days, storage: "local" });
-        } else {
-            this.setWithExpiry(key, "true", 0);
-            this.emit("survey_quarantined", { survey_id: sid, days: 0, storage: "session" });
+        ["maxPerSession", "maxPerPeriod", "periodDays", "minHoursAfterInvitation", "minHoursAfterResponse"].forEach(function (name) {
+            var n = parseFloat(merged[name]);
+            caps[name] = isNaN(n) ? 0 : n;
+        });
+
+        if (caps.periodDays <= 0) caps.periodDays = 30;
+
+        return caps;
+    }
+
+    /**
+     * Largest `periodDays` across the global caps and every survey's `frequency_caps`.
+     */
+    getHistoryRetentionDays() {
+        var days = this.getFrequencyCaps(null).periodDays;
+        var configurations = this.surveyConfigurations;
+
+        Object.keys(configurations).forEach(function (key) {
+            var survey = configurations[key];
+            if (survey && survey.frequency_caps) days = Math.max(days, this.getFrequencyCaps(survey).periodDays);
+        }, this);
+
+        return days;
+    }
+
+    /**
+     * Reads the persistent contact history: { invitations: [{ survey_id, at }], last_response }.
+     */
+    getContactHistory() {
+        var history = this.getWithExpiry(this.config.contactHistoryKey);
+
+        if (!history || typeof history !== "object" || !Array.isArray(history.invitations)) {
+            history = { invitations: [], last_response: null };
         }
+
+        return history;
     }
 
-    /* =========================
-        INTERNAL SELECTION LOGIC
-       ========================= */
+    /**
+     * Persists the contact history, keeping only entries still relevant to the longest
+     * rolling window (global or any survey override).
+     */
+    saveContactHistory(history) {
+        var keepDays = Math.max(this.getHistoryRetentionDays(), 1);
+        var since = this.now() - keepDays * 24 * 60 * 60 * 1000;
+        var invitations = history.invitations.filter(function (x) { return x && x.at >= since; });
+
+        // Always keep the most recent invitation for the minimum-gap cap.
+        if (!invitations.length && history.invitations.length) {
+            invitations = history.invitations.slice(-1);
+        }
+
+        history.invitations = invitations.slice(-100);
+        this.setWithExpiry(this.config.contactHistoryKey, history, Math.max(keepDays, 365));
+    }
 
     /**
-     * Applies quarantine + sampling.
+     * Applies quarantine + deterministic sampling (sticky bucket per visitor and survey).
      * If it passes, it may set quarantine immediately (depending on your previous logic).
      */
     passesStorageRules(survey) {
@@ -133,84 +1440,448 @@ class SurveyEngine {
             return false;
         }
 
-        // Percent sampling: e.g. "100" means always included.
-        var percentage = parseInt(survey.percentage, 10);
+        if (this.isRemindPending(survey)) {
+            this.emit("survey_remind_later_block", { survey_id: survey.survey_id });
+            this.log("SURVEY: survey " + survey.survey_id + " is postponed (remind me later)");
+            return false;
+        }
+
+        // Percent sampling: e.g. "100" means always included, "0" never.
+        // The bucket is sticky per visitor and survey, so raising the percentage
+        // only adds visitors (monotonic rollout).
+        var percentage = parseFloat(survey.percentage);
         if (isNaN(percentage)) percentage = 0;
 
-        var sampled = parseInt(Math.random() * 100, 10) <= percentage;
+        var bucket = this.getSamplingBucket(survey);
+        var sampled = bucket < percentage;
 
         if (sampled) {
-            // Quarantine immediately upon being selected for display
-            // (keeps behavior similar to your previous snippet).
-            var qDays = parseInt(survey.quarantine, 10);
-            if (!isNaN(qDays) && qDays > 0) {
+            // Quarantine immediately upon being selected for display, unless the survey
+            // defers it to a later lifecycle phase (see handleInvitationLifecycle()).
+            var qDays = parseFloat(survey.quarantine);
+            if (this.getQuarantineTrigger(survey) === "on_sample" && !isNaN(qDays) && qDays > 0) {
                 this.setWithExpiry(key, "true", qDays);
                 this.emit("survey_quarantine_set_on_sample", { survey_id: survey.survey_id, days: qDays });
             }
-            this.emit("survey_included_by_sampling", { survey_id: survey.survey_id, percentage: percentage });
+            this.emit("survey_included_by_sampling", { survey_id: survey.survey_id, percentage: percentage, bucket: bucket });
             return true;
         }
 
         // If excluded: optionally quarantine anyway (user sampling mode).
         if (this.config.userSampling) {
-            var qDays2 = parseInt(survey.quarantine, 10);
+            var qDays2 = parseFloat(survey.quarantine);
             if (!isNaN(qDays2) && qDays2 > 0) {
                 this.setWithExpiry(key, "true", qDays2);
             }
-            this.emit("survey_excluded_quarantined_user_sampling", { survey_id: survey.survey_id, percentage: percentage });
+            this.emit("survey_excluded_quarantined_user_sampling", { survey_id: survey.survey_id, percentage: percentage, bucket: bucket });
             this.log("SURVEY: survey " + survey.survey_id + " is excluded by sampling, and quarantined (user sampling)");
             return false;
         }
 
-        this.emit("survey_excluded_not_quarantined_event_sampling", { survey_id: survey.survey_id, percentage: percentage });
+        this.emit("survey_excluded_not_quarantined_event_sampling", { survey_id: survey.survey_id, percentage: percentage, bucket: bucket });
         this.log("SURVEY: survey " + survey.survey_id + " is excluded by sampling, and not quarantined (event sampling)");
         return false;
     }
 
+    /**
+     * True while a "remind me later" record blocks the survey (time expiry is handled by
+     * the storage record, the page target here).
+     */
+    isRemindPending(survey) {
+        var key = this.config.remindKeyPrefix + survey.survey_id;
+        var record = this.getWithExpiry(key);
+
+        if (!record || typeof record !== "object") return false;
+
+        if (record.until_page && this.getPageViews() >= record.until_page) {
+            this.removeStorageKey(key);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Returns the survey's quarantine trigger, defaulting to "on_sample".
+     */
+    getQuarantineTrigger(survey) {
+        var trigger = survey && survey.quarantine_trigger ? String(survey.quarantine_trigger) : "on_sample";
+        return ["on_sample", "on_shown", "on_accept", "on_decline"].indexOf(trigger) !== -1 ? trigger : "on_sample";
+    }
+
+    /* =========================
+        SAMPLING BUCKETS
+       ========================= */
+
+    /**
+     * Returns the visitor's sticky bucket for a survey, in [0, 100) with 0.01 resolution.
+     * The hash input is: samplingSeed | survey.sampling_salt (or survey_id) | visitor ID.
+     */
+    getSamplingBucket(survey) {
+        var salt = survey.sampling_salt ? String(survey.sampling_salt) : String(survey.survey_id);
+        var input = String(this.config.samplingSeed || "") + "|" + salt + "|" + this.resolveVisitorId();
+        return (this.hashString(input) % 10000) / 100;
+    }
+
+    /**
+     * Resolves the visitor ID from (in order): config.visitorId, config.visitorIdCookie,
+     * a previously generated ID in storage, or a newly generated and persisted ID.
+     */
+    resolveVisitorId() {
+        if (this.visitorId) return this.visitorId;
+
+        var id = this.config.visitorId;
+        if (typeof id === "function") {
+            try {
+                id = id();
+            } catch (e) {
+                id = null;
+            }
+        }
+
+        if (!id && this.config.visitorIdCookie) {
+            try {
+                id = new CookieStorageAdapter().getItem(this.config.visitorIdCookie);
+            } catch (e) {
+                id = null;
+            }
+        }
+
+        var key = this.config.visitorIdStorageKey;
+        if (!id) id = this.getWithExpiry(key);
+
+        // Dry run: a generated ID would never be persisted.
+        if (!id && this.dryRun) return null;
+
+        if (!id) {
+            id = this.generateVisitorId();
+            this.setWithExpiry(key, id, this.config.visitorIdDays);
+            this.emit("visitor_id_generated", { visitor_id: id });
+        }
+
+        this.visitorId = String(id);
+        return this.visitorId;
+    }
+
+    /**
+     * Generates a random 128-bit hex ID (crypto when available).
+     */
+    generateVisitorId() {
+        var bytes = [];
+        var cryptoObj = typeof crypto !== "undefined" && crypto && typeof crypto.getRandomValues === "function" ? crypto : null;
+
+        if (cryptoObj) {
+            bytes = Array.prototype.slice.call(cryptoObj.getRandomValues(new Uint8Array(16)));
+        } else {
+            for (var i = 0; i < 16; i++) bytes.push(Math.floor(Math.random() * 256));
+        }
+
+        return bytes.map(function (b) { return (b < 16 ? "0" : "") + b.toString(16); }).join("");
+    }
+
+    /**
+     * 32-bit FNV-1a hash (unsigned), stable across browsers.
+     */
+    hashString(str) {
+        var hash = 0x811c9dc5;
+
+        for (var i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
     /* =========================
         STORAGE HELPERS
        ========================= */
 
     /**
-     * Stores a value in localStorage with TTL (days), or in sessionStorage if days is falsy/0.
+     * Returns the configured storage adapter, or the default Web Storage -> memory chain.
+     */
+    getStorage() {
+        if (this.config.storage) return this.config.storage;
+
+        if (!this.defaultStorage) {
+            this.defaultStorage = new FallbackStorageAdapter(
+                [new WebStorageAdapter(), new MemoryStorageAdapter()],
+                { onError: this.onStorageAdapterError.bind(this) }
+            );
+        }
+
+        return this.defaultStorage;
+    }
+
+    /**
+     * Called by the default fallback chain when a backend is abandoned.
+     */
+    onStorageAdapterError(adapterName, error) {
+        this.emit("storage_adapter_failed", { adapter: adapterName, error: error ? String(error.message || error) : "unavailable" });
+        this.log("SURVEY: storage adapter " + adapterName + " unavailable, falling back");
+    }
+
+    /**
+     * Stores a value with TTL (days) as a persistent entry, or as a session entry if days is falsy/0.
+     * Without storage consent the write is held in memory (see connectConsent()).
      */
     setWithExpiry(key, value, days) {
-        var item;
+        this.writeRecord(key, value, days ? this.now() + days * 24 * 60 * 60 * 1000 : null);
+    }
+
+    /**
+     * Writes a versioned record with an absolute expiry (null => session entry).
+     */
+    writeRecord(key, value, expiry, created) {
+        if (this.dryRun) return;
+
+        var item = { v: this.recordVersion, value: value, created: created || this.now() };
+        var options = { persistent: false };
+
+        if (expiry) {
+            item.expiry = expiry;
+            options = { persistent: true, expiry: expiry };
+        }
 
-        if (days) {
-            var now = new Date();
-            var ttl = days * 24 * 60 * 60 * 1000;
-            item = { value: value, expiry: now.getTime() + ttl };
-            localStorage.setItem(key, JSON.stringify(item));
+        if (!this.hasStorageConsent()) {
+            if (!this.deferredWrites[key]) this.emit("storage_write_deferred", { key: key });
+            this.deferredWrites[key] = item;
             return;
         }
 
-        item = { value: value };
-        sessionStorage.setItem(key, JSON.stringify(item));
+        try {
+            this.getStorage().setItem(key, JSON.stringify(item), options);
+        } catch (e) {
+            this.emit("storage_write_failed", { key: key, error: String(e && e.message || e) });
+            this.log("SURVEY: unable to write " + key);
+        }
     }
 
     /**
-     * Reads from localStorage or sessionStorage; if expired, cleans up and returns null.
+     * Reads a stored value; if expired or unreadable (corrupt JSON), cleans up and returns null.
      */
     getWithExpiry(key) {
-        var itemStr = localStorage.getItem(key) || sessionStorage.getItem(key);
+        var item = this.readRecord(key);
+        return item && typeof item.value !== "undefined" ? item.value : null;
+    }
+
+    /**
+     * Reads a stored record { v, value, expiry, created } (legacy records are upgraded in memory),
+     * or null. Expired and corrupt records are cleaned up; records written by a newer version
+     * are ignored but kept.
+     */
+    readRecord(key) {
+        // Deferred writes (no consent yet) are the most recent values; without consent,
+        // nothing else is read.
+        if (this.deferredWrites[key]) return this.deferredWrites[key];
+        if (!this.hasStorageConsent()) return null;
+
+        var storage = this.getStorage();
+        var itemStr;
+
+        try {
+            itemStr = storage.getItem(key);
+        } catch (e) {
+            this.emit("storage_read_failed", { key: key, error: String(e && e.message || e) });
+            return null;
+        }
+
         if (!itemStr) return null;
 
-        var item = JSON.parse(itemStr);
-        var now = new Date();
+        var raw = this.parseRecord(itemStr);
+        var item = this.upgradeRecord(raw);
+
+        if (!item) {
+            this.emit("storage_record_corrupt", { key: key });
+            this.log("SURVEY: ignoring corrupt storage entry " + key);
+            this.removeStorageKey(key);
+            return null;
+        }
+
+        if (item.v > this.recordVersion) return null;
+
+        if (this.isRecordExpired(item)) {
+            this.removeStorageKey(key);
+            return null;
+        }
+
+        return item;
+    }
 
-        if (item.expiry && now.getTime() > item.expiry) {
-            localStorage.removeItem(key);
+    parseRecord(itemStr) {
+        try {
+            return JSON.parse(itemStr);
+        } catch (e) {
             return null;
         }
+    }
+
+    /**
+     * Returns the record in the current format, or null if it is not a record.
+     * Legacy (unversioned) records are { value, expiry } with an optional numeric-string expiry.
+     */
+    upgradeRecord(raw) {
+        if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+
+        if (typeof raw.v === "number") return raw.v >= 1 ? raw : null;
+        if (!("value" in raw)) return null;
+
+        var item = { v: this.recordVersion, value: raw.value, created: this.now() };
+        var expiry = Number(raw.expiry);
+        if (raw.expiry && !isNaN(expiry)) item.expiry = expiry;
+
+        return item;
+    }
+
+    /**
+     * Expired: past its expiry, or a session entry older than sessionRecordMaxHours.
+     */
+    isRecordExpired(item) {
+        var now = this.now();
+        if (item.expiry) return now > item.expiry;
+
+        var maxHours = this.config.sessionRecordMaxHours;
+        if (maxHours === null || typeof maxHours === "undefined") maxHours = this.getStorage().sessionRecordMaxHours;
+
+        maxHours = parseFloat(maxHours);
+        return maxHours > 0 && !!item.created && now - item.created > maxHours * 60 * 60 * 1000;
+    }
+
+    /**
+     * Housekeeping: removes expired and corrupt engine entries and rewrites legacy records in
+     * the current format (run on creation unless `housekeeping` is false).
+     * Returns { removed, migrated }.
+     */
+    sweepStorage() {
+        if (!this.hasStorageConsent()) return { removed: 0, migrated: 0 };
+
+        var storage = this.getStorage();
+        var keys = this.listOwnedKeys();
+        var removed = 0;
+        var migrated = 0;
+
+        for (var i = 0; i < keys.length; i++) {
+            if (this.deferredWrites[keys[i]]) continue;
+
+            var itemStr;
+            try {
+                itemStr = storage.getItem(keys[i]);
+            } catch (e) {
+                continue;
+            }
+            if (!itemStr) continue;
+
+            var raw = this.parseRecord(itemStr);
+            var item = this.upgradeRecord(raw);
+
+            if (item && item.v > this.recordVersion) continue;
+
+            if (!item || this.isRecordExpired(item)) {
+                this.removeStorageKey(keys[i]);
+                removed++;
+            } else if (raw.v !== item.v) {
+                // Format upgrade of data already stored (not a new write): bypasses consent deferral.
+                try {
+                    storage.setItem(keys[i], JSON.stringify(item), item.expiry ? { persistent: true, expiry: item.expiry } : { persistent: false });
+                    migrated++;
+                } catch (e) {
+                    // Kept in the legacy format; it is still readable.
+                }
+            }
+        }
+
+        if (removed || migrated) {
+            this.emit("storage_housekeeping", { removed: removed, migrated: migrated });
+            this.log("SURVEY: storage housekeeping removed " + removed + " and migrated " + migrated + " entries");
+        }
+
+        return { removed: removed, migrated: migrated };
+    }
+
+    /**
+     * Stored keys (storage and deferred writes) owned by the engine: those starting with one of
+     * `prefixes` or equal to one of `exact` (defaults: every engine key).
+     */
+    listOwnedKeys(prefixes, exact) {
+        var cfg = this.config;
+        var ownPrefixes = prefixes || [cfg.quarantineKeyPrefix, cfg.remindKeyPrefix, cfg.roundRobinKeyPrefix];
+        var ownKeys = exact || [cfg.contactHistoryKey, cfg.sessionContactsKey, cfg.lastShownKey, cfg.pageViewsKey, cfg.visitsKey, cfg.visitorIdStorageKey];
+
+        return this.listStorageKeys().filter(function (key) {
+            return ownKeys.indexOf(key) !== -1 || ownPrefixes.some(function (prefix) {
+                return prefix && key.indexOf(prefix) === 0;
+            });
+        });
+    }
+
+    /**
+     * Every key in storage plus pending deferred writes.
+     */
+    listStorageKeys() {
+        var keys;
+
+        try {
+            keys = this.getStorage().keys().slice();
+        } catch (e) {
+            keys = [];
+        }
+
+        Object.keys(this.deferredWrites).forEach(function (key) {
+            if (keys.indexOf(key) === -1) keys.push(key);
+        });
+
+        return keys;
+    }
+
+    hasStoredItem(key) {
+        try {
+            return !!this.getStorage().getItem(key);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Removes a key from storage, ignoring backend errors.
+     */
+    removeStorageKey(key) {
+        if (this.dryRun) return;
+        delete this.deferredWrites[key];
 
-        return item.value;
+        try {
+            this.getStorage().removeItem(key);
+        } catch (e) {
+            // No-op
+        }
     }
 
     /* =========================
         UTILS
        ========================= */
 
+    /**
+     * Finds a survey configuration by its key or, failing that, by its survey_id.
+     */
+    findSurveyConfig(surveyId) {
+        var sid = String(surveyId);
+        if (this.surveyConfigurations[sid]) return this.surveyConfigurations[sid];
+
+        var keys = Object.keys(this.surveyConfigurations);
+        for (var i = 0; i < keys.length; i++) {
+            var cfg = this.surveyConfigurations[keys[i]];
+            if (cfg && String(cfg.survey_id) === sid) return cfg;
+        }
+
+        return null;
+    }
+
+    /**
+     * True if a quarantine duration is set (a number of days, possibly as a string).
+     */
+    hasDays(value) {
+        return value !== null && typeof value !== "undefined" && value !== "" && !isNaN(parseFloat(value));
+    }
+
     /**
      * Normalizes inputs such as:
      * - "1,2,3" => ["1","2","3"]
@@ -235,6 +1906,8 @@ class SurveyEngine {
      * Emits an event for external tracking/debug.
      */
     emit(type, payload) {
+        if (this.dryRun) return;
+
         if (typeof this.config.onEvent === "function") {
             try {
                 this.config.onEvent(type, payload || {});
@@ -0,0 +1,340 @@
+/**
+ * SurveyLauncher
+ * --------------
+ * Orchestrator that owns the whole flow from a single configuration object:
+ * - Creates PageTargeting, SurveyEngine and InvitationRenderer (and, for single-page
+ *   applications, SurveyNavigationController) and wires them together
+ * - Forwards every component event to one tracking hook with a unified schema
+ * - Exposes start(), evaluate(pageContext), stop() and destroy()
+ * - In debug mode (opt-in, SurveyDebugOverlay.js loaded), forces the requested survey and shows the overlay
+ *
+ * Unified event schema (passed to `tracking` and `onEvent`):
+ *   {
+ *     type:      "survey_chosen" | "invitation_shown" | ... (component event type)
+ *     source:    "launcher" | "targeting" | "engine" | "renderer" | "navigation" | "debug"
+ *     survey_id: string | null
+ *     timestamp: number (ms since epoch)
+ *     data:      object (original component payload)
+ *   }
+ *
+ * IMPORTANT:
+ * - It adds no decision logic: components keep their roles and remain usable on their own.
+ */
+class SurveyLauncher {
+    constructor(options) {
+        this.config = {
+            // Medallia website ID required to load embed.js
+            medalliaWebsiteId: "",
+
+            // Survey configurations keyed by survey ID (see SurveyEngine.setSurveyConfigurations())
+            surveys: {},
+
+            // Invitation styles keyed by display name (see InvitationRenderer.setSurveyStyles())
+            styles: {},
+
+            // Targeting rules (see PageTargeting.setRules())
+            targeting: [],
+
+            // Extra options for each component (merged over the launcher defaults)
+            engineOptions: null,
+            rendererOptions: null,
+            targetingOptions: null,
+
+            // If true, invitations are re-evaluated on client-side navigation
+            // (SurveyNavigationController options in `navigationOptions`)
+            spa: false,
+            navigationOptions: null,
+
+            // Options forwarded to engine.chooseSurvey(ids, options)
+            chooseOptions: null,
+
+            // Visitor context for survey `audience` blocks: an object or a function returning one
+            // (see SurveyEngine `visitorContext`)
+            visitor: null,
+
+            // Consent gate (ConsentGate.js or its gate contract): storage and Medallia loading wait for it
+            consent: null,
+
+            // Debug/preview mode (see SurveyDebugOverlay.js), off by default since anyone can edit a URL:
+            // "auto" => enabled by ?neb_debug=1 (or the remembered flag), true | false => always / never
+            debug: false,
+            debugOptions: null,
+
+            // Tracking: (event) => void, or an object exposing track(event) (e.g. SurveyTracker)
+            tracking: null,
+
+            // Event hook for external tracking/logging (unified schema)
+            // (event) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        this.targeting = null;
+        this.engine = null;
+        this.renderer = null;
+        this.navigation = null;
+        this.debug = null;
+        this.started = false;
+
+        // Bind handlers (no nested functions)
+        this.onTargetingEvent = this.onTargetingEvent.bind(this);
+        this.onEngineEvent = this.onEngineEvent.bind(this);
+        this.onRendererEvent = this.onRendererEvent.bind(this);
+        this.onNavigationEvent = this.onNavigationEvent.bind(this);
+        this.onDebugEvent = this.onDebugEvent.bind(this);
+        this.rerun = this.rerun.bind(this);
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        PUBLIC LIFECYCLE API
+       ========================= */
+
+    /**
+     * Creates the components (once) and evaluates the current page.
+     * With `spa: true`, route changes are evaluated as well until stop().
+     */
+    start() {
+        if (this.started) return this;
+
+        this.createComponents();
+        this.started = true;
+        this.emit("launcher", "launcher_started", { spa: !!this.config.spa });
+
+        if (this.config.spa) {
+            this.navigation.start();
+        } else {
+            this.evaluate();
+        }
+
+        return this;
+    }
+
+    /**
+     * Runs targeting + selection for a page and shows the chosen invitation.
+     * Returns the chosen survey configuration, or null.
+     *
+     * @param {object} [pageContext] - overrides for PageTargeting.buildPageContext()
+     *                                 ({ pageName, url, path, query, referrer, data })
+     * @param {object} [options]     - { countPageView: false } => not a new page view
+     */
+    evaluate(pageContext, options) {
+        this.createComponents();
+        return this.navigation.evaluate(this.targeting.buildPageContext(pageContext), options);
+    }
+
+    /**
+     * Removes the current invitation and evaluates the page again (debug overlay "Re-run").
+     * The page is not counted again (page views, visits).
+     */
+    rerun() {
+        if (this.renderer) this.renderer.teardownInvitation();
+        return this.evaluate(null, { countPageView: false });
+    }
+
+    /**
+     * Stops route tracking and removes the current invitation. start() can be called again.
+     */
+    stop() {
+        if (!this.started) return this;
+        this.started = false;
+
+        this.navigation.stop();
+        this.renderer.teardownInvitation();
+
+        this.emit("launcher", "launcher_stopped", {});
+        return this;
+    }
+
+    /**
+     * Stops and releases every component (listeners, triggers, DOM nodes).
+     */
+    destroy() {
+        this.stop();
+        if (!this.engine) return;
+
+        this.engine.disconnectRenderer();
+        this.engine.disconnectConsent();
+        this.renderer.teardownInvitation();
+        this.renderer.triggers.destroy();
+        if (this.debug) this.debug.destroy();
+
+        this.emit("launcher", "launcher_destroyed", {});
+
+        this.targeting = null;
+        this.engine = null;
+        this.renderer = null;
+        this.navigation = null;
+        this.debug = null;
+    }
+
+    /* =========================
+        COMPONENT WIRING
+       ========================= */
+
+    /**
+     * Instantiates and wires the components from the launcher configuration.
+     */
+    createComponents() {
+        if (this.engine) return;
+
+        var cfg = this.config;
+
+        this.targeting = new PageTargeting(Object.assign({}, cfg.targetingOptions, {
+            onEvent: this.onTargetingEvent,
+            logger: cfg.logger
+        }));
+        this.targeting.setRules(cfg.targeting || []);
+
+        this.renderer = new InvitationRenderer(Object.assign({}, cfg.rendererOptions, {
+            medalliaWebsiteId: cfg.medalliaWebsiteId,
+            consent: cfg.consent,
+            onEvent: this.onRendererEvent,
+            logger: cfg.logger
+        }));
+        this.renderer.setSurveyStyles(cfg.styles || {});
+
+        // Displays are checked against the registered styles unless configured explicitly.
+        this.engine = new SurveyEngine(Object.assign({ knownDisplays: this.renderer.getRegisteredDisplays() }, cfg.engineOptions, {
+            onEvent: this.onEngineEvent,
+            logger: cfg.logger
+        }));
+        this.engine.setSurveyConfigurations(cfg.surveys || {});
+        if (cfg.visitor) this.engine.setConfig({ visitorContext: cfg.visitor });
+        this.engine.connectRenderer(this.renderer);
+        if (cfg.consent) this.engine.connectConsent(cfg.consent);
+
+        // SurveyTracker (or any tracker exposing it) resolves survey_name/display from the engine.
+        if (cfg.tracking && typeof cfg.tracking.setSurveyLookup === "function") {
+            cfg.tracking.setSurveyLookup(this.engine.findSurveyConfig.bind(this.engine));
+        }
+
+        this.navigation = new SurveyNavigationController(Object.assign({}, cfg.navigationOptions, {
+            targeting: this.targeting,
+            engine: this.engine,
+            renderer: this.renderer,
+            chooseOptions: cfg.chooseOptions,
+            onEvent: this.onNavigationEvent,
+            logger: cfg.logger
+        }));
+
+        this.createDebugOverlay();
+    }
+
+    /**
+     * Debug mode: the overlay receives every unified event and may force a survey.
+     */
+    createDebugOverlay() {
+        var cfg = this.config;
+        if (cfg.debug === false || typeof SurveyDebugOverlay === "undefined") return;
+
+        var overlay = new SurveyDebugOverlay(Object.assign({}, cfg.debugOptions, {
+            enabled: cfg.debug === true ? true : null,
+            engine: this.engine,
+            onRerun: this.rerun,
+            onEvent: this.onDebugEvent,
+            logger: cfg.logger
+        }));
+        if (!overlay.isEnabled()) return;
+
+        var forced = overlay.getForcedSurveyId();
+        if (forced) this.engine.setConfig({ forceSurveyId: forced });
+
+        this.debug = overlay;
+        overlay.attach();
+        this.log("SURVEY: debug mode enabled" + (forced ? " - forcing survey " + forced : ""));
+    }
+
+    /**
+     * "Exit" in the overlay: the forced survey no longer applies.
+     */
+    onDebugEvent(type, payload) {
+        if (type === "debug_disabled") {
+            this.debug = null;
+            if (this.engine) this.engine.setConfig({ forceSurveyId: null });
+        }
+        this.emit("debug", type, payload);
+    }
+
+    onTargetingEvent(type, payload) {
+        this.emit("targeting", type, payload);
+    }
+
+    onEngineEvent(type, payload) {
+        this.emit("engine", type, payload);
+    }
+
+    onRendererEvent(type, payload) {
+        this.emit("renderer", type, payload);
+    }
+
+    onNavigationEvent(type, payload) {
+        this.emit("navigation", type, payload);
+    }
+
+    /* =========================
+        EVENT / LOG HELPERS
+       ========================= */
+
+    /**
+     * Builds a unified event and forwards it to the tracking and onEvent hooks.
+     */
+    emit(source, type, payload) {
+        var data = payload || {};
+        var event = {
+            type: type,
+            source: source,
+            survey_id: data.survey_id ? String(data.survey_id) : null,
+            timestamp: Date.now(),
+            data: data
+        };
+
+        var tracking = this.config.tracking;
+        if (tracking && typeof tracking.track === "function") {
+            this.safeCall(tracking.track, tracking, event);
+        } else if (typeof tracking === "function") {
+            this.safeCall(tracking, null, event);
+        }
+
+        if (this.debug) this.safeCall(this.debug.track, this.debug, event);
+
+        if (typeof this.config.onEvent === "function") {
+            this.safeCall(this.config.onEvent, null, event);
+        }
+    }
+
+    safeCall(fn, context, event) {
+        try {
+            fn.call(context, event);
+        } catch (e) {
+            // Swallow errors to keep the launcher resilient.
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * SurveyNavigationController
+ * --------------------------
+ * Lifecycle controller for single-page applications that:
+ * - Listens to History API (pushState/replaceState/popstate) and hash changes,
+ *   or explicit navigate(pageName) calls
+ * - Tears down an invitation still pending (not yet shown) when the route changes
+ * - Re-runs targeting + SurveyEngine.chooseSurvey() for the new page (debounced)
+ *   and hands the chosen survey to InvitationRenderer
+ *
+ * IMPORTANT:
+ * - It owns no decision logic: targeting, engine and renderer keep their roles.
+ */
+class SurveyNavigationController {
+    constructor(options) {
+        this.config = {
+            // Collaborators (required): PageTargeting, SurveyEngine, InvitationRenderer
+            targeting: null,
+            engine: null,
+            renderer: null,
+
+            // Debounce between a route change and the evaluation (ms)
+            debounceMs: 300,
+
+            // Route change sources
+            watchHistory: true,
+            watchHash: true,
+
+            // If true, also tears down an invitation already visible when the route changes
+            teardownVisibleOnNavigate: false,
+
+            // Builds the page context: (pageName|null) => context
+            // (null => targeting.buildPageContext({ pageName }) when a page name is given)
+            getPageContext: null,
+
+            // Options forwarded to engine.chooseSurvey(ids, options)
+            chooseOptions: null,
+
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        this.started = false;
+        this.debounceTimer = null;
+        this.pendingPageName = null;
+        this.lastUrl = null;
+
+        // Original History API methods, restored by stop()
+        this.originalPushState = null;
+        this.originalReplaceState = null;
+
+        // Bind handlers (no nested functions)
+        this.onLocationChange = this.onLocationChange.bind(this);
+        this.onDebounceTimeout = this.onDebounceTimeout.bind(this);
+        this.patchedPushState = this.patchedPushState.bind(this);
+        this.patchedReplaceState = this.patchedReplaceState.bind(this);
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    /* =========================
+        PUBLIC LIFECYCLE API
+       ========================= */
+
+    /**
+     * Starts listening for route changes and evaluates the current page.
+     */
+    start() {
+        if (this.started) return this;
+        this.started = true;
+
+        if (this.config.watchHistory && window.history) {
+            this.originalPushState = window.history.pushState;
+            this.originalReplaceState = window.history.replaceState;
+            window.history.pushState = this.patchedPushState;
+            window.history.replaceState = this.patchedReplaceState;
+            window.addEventListener("popstate", this.onLocationChange);
+        }
+
+        if (this.config.watchHash) {
+            window.addEventListener("hashchange", this.onLocationChange);
+        }
+
+        this.lastUrl = window.location.href;
+        this.emit("navigation_started", { url: this.lastUrl });
+        this.evaluate(this.buildPageContext(null));
+        return this;
+    }
+
+    /**
+     * Stops listening and restores the History API. A pending evaluation is cancelled.
+     */
+    stop() {
+        if (!this.started) return this;
+        this.started = false;
+
+        this.clearDebounce();
+        window.removeEventListener("popstate", this.onLocationChange);
+        window.removeEventListener("hashchange", this.onLocationChange);
+
+        // Only restore if nobody patched the History API after us.
+        if (this.originalPushState && window.history.pushState === this.patchedPushState) {
+            window.history.pushState = this.originalPushState;
+        }
+        if (this.originalReplaceState && window.history.replaceState === this.patchedReplaceState) {
+            window.history.replaceState = this.originalReplaceState;
+        }
+        this.originalPushState = null;
+        this.originalReplaceState = null;
+
+        this.emit("navigation_stopped", {});
+        return this;
+    }
+
+    /**
+     * Explicit navigation (e.g. from a router hook), optionally with the new page name.
+     */
+    navigate(pageName) {
+        this.handleRouteChange("navigate", pageName ? String(pageName) : null);
+    }
+
+    /**
+     * Counts the page view, runs targeting + selection for a page context and shows the chosen invitation.
+     * Returns the chosen survey configuration, or null.
+     *
+     * @param {object} [options] - { countPageView: false } re-evaluates the same page (e.g. debug "Re-run")
+     */
+    evaluate(pageContext, options) {
+        var engine = this.config.engine;
+        var renderer = this.config.renderer;
+        var targeting = this.config.targeting;
+
+        if (!engine || !renderer || !targeting) {
+            this.log("SURVEY: navigation controller requires targeting, engine and renderer");
+            return null;
+        }
+
+        // Every evaluated page counts (remind_after_pages), even while an invitation is visible.
+        if (!options || options.countPageView !== false) engine.trackPageView();
+
+        if (renderer.isInvitationVisible()) {
+            this.emit("navigation_evaluation_skipped", { reason: "invitation_visible" });
+            return null;
+        }
+
+        var ctx = pageContext || targeting.buildPageContext();
+        var candidates = targeting.getCandidates(ctx);
+
+        this.emit("navigation_evaluated", { page_name: ctx.pageName, url: ctx.url, candidates: candidates });
+        if (!candidates.length && !engine.config.forceSurveyId) return null;
+
+        var chosen = engine.chooseSurvey(candidates, this.config.chooseOptions || undefined);
+        if (chosen) renderer.showInvitationForSurvey(chosen);
+
+        return chosen;
+    }
+
+    /* =========================
+        ROUTE CHANGE HANDLING
+       ========================= */
+
+    patchedPushState() {
+        var result = this.originalPushState.apply(window.history, arguments);
+        this.onLocationChange({ type: "pushstate" });
+        return result;
+    }
+
+    patchedReplaceState() {
+        var result = this.originalReplaceState.apply(window.history, arguments);
+        this.onLocationChange({ type: "replacestate" });
+        return result;
+    }
+
+    onLocationChange(e) {
+        // replaceState calls that keep the same URL (scroll restoration, state updates) are not navigations.
+        if (window.location.href === this.lastUrl) return;
+        this.handleRouteChange(e && e.type ? e.type : "location", null);
+    }
+
+    /**
+     * Cancels what the previous route scheduled and debounces the next evaluation.
+     */
+    handleRouteChange(source, pageName) {
+        var renderer = this.config.renderer;
+        this.lastUrl = window.location.href;
+
+        if (renderer && renderer.hasPendingInvitation()) {
+            this.emit("navigation_invitation_cancelled", { source: source, reason: "pending" });
+            renderer.teardownInvitation();
+        } else if (renderer && this.config.teardownVisibleOnNavigate && renderer.isInvitationVisible()) {
+            this.emit("navigation_invitation_cancelled", { source: source, reason: "visible" });
+            renderer.teardownInvitation();
+        }
+
+        this.emit("navigation_route_changed", { source: source, url: this.lastUrl, page_name: pageName });
+
+        this.pendingPageName = pageName;
+        this.clearDebounce();
+        this.debounceTimer = window.setTimeout(this.onDebounceTimeout, this.config.debounceMs);
+    }
+
+    onDebounceTimeout() {
+        this.debounceTimer = null;
+        this.evaluate(this.buildPageContext(this.pendingPageName));
+        this.pendingPageName = null;
+    }
+
+    buildPageContext(pageName) {
+        if (typeof this.config.getPageContext === "function") {
+            return this.config.getPageContext(pageName);
+        }
+        return this.config.targeting.buildPageContext(pageName ? { pageName: pageName } : null);
+    }
+
+    clearDebounce() {
+        if (this.debounceTimer) {
+            window.clearTimeout(this.debounceTimer);
+            this.debounceTimer = null;
+        }
+    }
+
+    /* =========================
+        EVENT / LOG HELPERS
+       ========================= */
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep navigation handling resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
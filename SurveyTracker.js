@@ -0,0 +1,416 @@
+/**
+ * SurveyTracker
+ * -------------
+ * Analytics layer for the component event stream that:
+ * - Maps every event to a stable schema (see toTrackingEvent())
+ * - Forwards it to built-in adapters (Tealium utag.link, GA4 gtag/dataLayer,
+ *   Adobe Client Data Layer / Launch) or custom ones
+ * - Drops duplicates (same event and survey within a time window)
+ * - Filters (include/exclude) and samples noisy events per type
+ * - Batches deliveries (size and interval), flushing when the page is hidden
+ *
+ * Stable event schema:
+ *   {
+ *     event:           "survey_chosen" | "invitation_shown" | ... (component event type)
+ *     source:          "engine" | "renderer" | ... (null when unknown)
+ *     survey_id:       string | null
+ *     survey_name:     string | null  (from the survey configuration)
+ *     display:         string | null
+ *     locale:          string | null
+ *     decision_reason: string | null  (survey_chosen reason, frequency cap, schedule reason, ...)
+ *     timestamp:       number (ms since epoch, when the event happened)
+ *     sent_at:         number (ms since epoch, when the batch was delivered)
+ *     data:            object (original payload)
+ *   }
+ *
+ * Accepts both (type, payload) hooks (onEvent of any component) and SurveyLauncher
+ * unified events: `tracking: tracker` or `onEvent: tracker.track`.
+ */
+class SurveyTracker {
+    constructor(options) {
+        this.config = {
+            // Adapters: built-in names ("tealium", "ga4", "adobe") or objects { name, send(events) }
+            adapters: [],
+
+            // Event types to keep (null => all) and to drop
+            include: null,
+            exclude: [],
+
+            // Sampling rate per event type (0..1), e.g. { survey_excluded_not_quarantined_event_sampling: 0.1 }
+            sampleRates: {},
+
+            // Same event, survey and payload within this window (ms) is dropped (0 disables)
+            dedupeWindowMs: 1000,
+
+            // Batching: deliver when batchSize events are queued or after flushIntervalMs
+            // (batchSize 1 => every event is delivered immediately)
+            batchSize: 10,
+            flushIntervalMs: 2000,
+
+            // Event renames applied before delivery, e.g. { invitation_shown: "survey_invite_view" }
+            eventNames: {},
+
+            // Survey configuration lookup (surveyId) => config, for survey_name/display
+            // (SurveyLauncher sets it to engine.findSurveyConfig)
+            surveyLookup: null,
+
+            // Random source for sampling () => [0, 1); null => Math.random
+            random: null,
+
+            // Event hook for external tracking/logging
+            // (type, payload) => void
+            onEvent: null,
+
+            // Logger hook (msg) => void
+            logger: null
+        };
+
+        this.setConfig(options || {});
+
+        this.queue = [];
+        this.flushTimer = null;
+        this.lastSeen = {};
+
+        // Bind handlers (no nested functions)
+        this.track = this.track.bind(this);
+        this.flush = this.flush.bind(this);
+        this.onPageHide = this.onPageHide.bind(this);
+
+        if (typeof window !== "undefined" && "addEventListener" in window) {
+            window.addEventListener("pagehide", this.onPageHide);
+            document.addEventListener("visibilitychange", this.onPageHide);
+        }
+    }
+
+    /* =========================
+        PUBLIC CONFIGURATION API
+       ========================= */
+
+    setConfig(partialConfig) {
+        if (partialConfig && typeof partialConfig === "object") {
+            Object.assign(this.config, partialConfig);
+        }
+        return this;
+    }
+
+    setSurveyLookup(lookup) {
+        this.config.surveyLookup = typeof lookup === "function" ? lookup : null;
+        return this;
+    }
+
+    /* =========================
+        PUBLIC TRACKING API
+       ========================= */
+
+    /**
+     * Tracks an event: track(type, payload) or track({ type, source, survey_id, timestamp, data }).
+     * Returns true if the event was queued (not filtered, sampled out or duplicated).
+     */
+    track(typeOrEvent, payload) {
+        var event = typeof typeOrEvent === "string"
+            ? { type: typeOrEvent, source: null, timestamp: Date.now(), data: payload || {} }
+            : typeOrEvent;
+
+        if (!event || !event.type) return false;
+
+        if (!this.isIncluded(event.type) || !this.isSampled(event.type)) return false;
+
+        var tracked = this.toTrackingEvent(event);
+
+        if (this.isDuplicate(tracked)) {
+            this.emit("tracking_event_duplicate", { event: tracked.event, survey_id: tracked.survey_id });
+            return false;
+        }
+
+        this.queue.push(tracked);
+
+        if (this.queue.length >= Math.max(1, this.config.batchSize) || !this.config.flushIntervalMs) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = window.setTimeout(this.flush, this.config.flushIntervalMs);
+        }
+
+        return true;
+    }
+
+    /**
+     * Delivers queued events to every adapter.
+     */
+    flush() {
+        if (this.flushTimer) {
+            window.clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        if (!this.queue.length) return;
+
+        var events = this.queue;
+        var sentAt = Date.now();
+        this.queue = [];
+
+        for (var i = 0; i < events.length; i++) events[i].sent_at = sentAt;
+
+        var adapters = this.getAdapters();
+        for (var j = 0; j < adapters.length; j++) {
+            try {
+                adapters[j].send(events);
+            } catch (e) {
+                this.emit("tracking_adapter_failed", { adapter: adapters[j].name, error: String(e && e.message || e) });
+                this.log("SURVEY: tracking adapter " + adapters[j].name + " failed");
+            }
+        }
+    }
+
+    /**
+     * Flushes pending events and stops listening to page lifecycle events.
+     */
+    destroy() {
+        this.flush();
+
+        if (typeof window !== "undefined" && "removeEventListener" in window) {
+            window.removeEventListener("pagehide", this.onPageHide);
+            document.removeEventListener("visibilitychange", this.onPageHide);
+        }
+    }
+
+    /* =========================
+        SCHEMA / FILTERING
+       ========================= */
+
+    /**
+     * Maps a component event to the stable tracking schema.
+     */
+    toTrackingEvent(event) {
+        var data = event.data || {};
+        var surveyId = event.survey_id || data.survey_id;
+        var survey = surveyId && typeof this.config.surveyLookup === "function" ? this.safeLookup(surveyId) : null;
+
+        return {
+            event: this.config.eventNames[event.type] || event.type,
+            source: event.source || null,
+            survey_id: surveyId ? String(surveyId) : null,
+            survey_name: survey && survey.survey_name ? String(survey.survey_name) : null,
+            display: data.display || (survey && survey.display) || null,
+            locale: data.locale || null,
+            decision_reason: this.getDecisionReason(data),
+            timestamp: event.timestamp || Date.now(),
+            sent_at: null,
+            data: data
+        };
+    }
+
+    /**
+     * Reason carried by decision events (chosen reason, blocking cap, schedule reason, ...).
+     */
+    getDecisionReason(data) {
+        if (data.reason) return String(data.reason);
+        if (data.cap) return "frequency_cap:" + data.cap;
+        return null;
+    }
+
+    isIncluded(type) {
+        if (Array.isArray(this.config.include) && this.config.include.indexOf(type) === -1) return false;
+        return !(Array.isArray(this.config.exclude) && this.config.exclude.indexOf(type) !== -1);
+    }
+
+    isSampled(type) {
+        var rate = this.config.sampleRates ? this.config.sampleRates[type] : undefined;
+        if (typeof rate !== "number") return true;
+
+        var random = typeof this.config.random === "function" ? this.config.random() : Math.random();
+        return random < rate;
+    }
+
+    /**
+     * Same event, source, survey and payload within dedupeWindowMs. Entries older than the
+     * window are pruned so the map does not grow with every distinct event.
+     */
+    isDuplicate(tracked) {
+        var windowMs = this.config.dedupeWindowMs;
+        if (!windowMs) return false;
+
+        this.pruneLastSeen(tracked.timestamp, windowMs);
+
+        var key = [tracked.event, tracked.source || "", tracked.survey_id || "", this.hashPayload(tracked.data)].join("|");
+        var last = this.lastSeen[key];
+
+        if (typeof last === "number" && tracked.timestamp - last < windowMs) return true;
+
+        this.lastSeen[key] = tracked.timestamp;
+        return false;
+    }
+
+    pruneLastSeen(now, windowMs) {
+        var keys = Object.keys(this.lastSeen);
+        for (var i = 0; i < keys.length; i++) {
+            if (now - this.lastSeen[keys[i]] >= windowMs) delete this.lastSeen[keys[i]];
+        }
+    }
+
+    /**
+     * Stable hash of a payload (keys sorted), so e.g. two targeting rules or two load
+     * attempts for the same survey are not taken for duplicates.
+     */
+    hashPayload(data) {
+        var str;
+        try {
+            str = JSON.stringify(this.sortKeys(data, 0));
+        } catch (e) {
+            str = "";
+        }
+
+        var hash = 5381;
+        for (var i = 0; i < (str || "").length; i++) {
+            hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    sortKeys(value, depth) {
+        if (!value || typeof value !== "object" || depth > 5) return value;
+        var i;
+        if (Array.isArray(value)) {
+            var list = [];
+            for (i = 0; i < value.length; i++) list.push(this.sortKeys(value[i], depth + 1));
+            return list;
+        }
+
+        var sorted = {};
+        var keys = Object.keys(value).sort();
+        for (i = 0; i < keys.length; i++) sorted[keys[i]] = this.sortKeys(value[keys[i]], depth + 1);
+        return sorted;
+    }
+
+    onPageHide() {
+        if (document.visibilityState === "hidden" || !document.visibilityState) this.flush();
+    }
+
+    /* =========================
+        ADAPTERS
+       ========================= */
+
+    /**
+     * Resolves configured adapters (built-in names => { name, send }).
+     */
+    getAdapters() {
+        var adapters = [];
+        var list = this.config.adapters || [];
+
+        for (var i = 0; i < list.length; i++) {
+            var adapter = typeof list[i] === "string" ? this.createAdapter(list[i]) : list[i];
+
+            if (adapter && typeof adapter.send === "function") {
+                adapters.push(adapter);
+            } else {
+                this.log("SURVEY: unknown tracking adapter " + list[i]);
+            }
+        }
+
+        return adapters;
+    }
+
+    createAdapter(name) {
+        if (name === "tealium") return { name: name, send: this.sendTealium.bind(this) };
+        if (name === "ga4") return { name: name, send: this.sendGa4.bind(this) };
+        if (name === "adobe") return { name: name, send: this.sendAdobe.bind(this) };
+        return null;
+    }
+
+    /**
+     * Tealium: one utag.link() per event (tealium_event / event_name + flat survey attributes).
+     */
+    sendTealium(events) {
+        if (!window.utag || typeof window.utag.link !== "function") return;
+
+        for (var i = 0; i < events.length; i++) {
+            window.utag.link(Object.assign({ tealium_event: events[i].event, event_name: events[i].event }, this.flatten(events[i])));
+        }
+    }
+
+    /**
+     * GA4: gtag("event", ...) when available, otherwise a dataLayer push.
+     * GA4 event names are limited to 40 characters.
+     */
+    sendGa4(events) {
+        for (var i = 0; i < events.length; i++) {
+            var name = events[i].event.slice(0, 40);
+            var params = this.flatten(events[i]);
+
+            if (typeof window.gtag === "function") {
+                window.gtag("event", name, params);
+            } else {
+                window.dataLayer = window.dataLayer || [];
+                window.dataLayer.push(Object.assign({ event: name }, params));
+            }
+        }
+    }
+
+    /**
+     * Adobe: Adobe Client Data Layer push when available, otherwise a Launch direct call rule.
+     */
+    sendAdobe(events) {
+        for (var i = 0; i < events.length; i++) {
+            var detail = { survey: this.flatten(events[i]) };
+
+            if (Array.isArray(window.adobeDataLayer)) {
+                window.adobeDataLayer.push({ event: events[i].event, eventInfo: detail });
+            } else if (window._satellite && typeof window._satellite.track === "function") {
+                window._satellite.track(events[i].event, detail);
+            }
+        }
+    }
+
+    /**
+     * Schema fields without the raw payload (analytics tools expect flat attributes).
+     */
+    flatten(tracked) {
+        return {
+            survey_event: tracked.event,
+            survey_source: tracked.source,
+            survey_id: tracked.survey_id,
+            survey_name: tracked.survey_name,
+            survey_display: tracked.display,
+            survey_locale: tracked.locale,
+            survey_decision_reason: tracked.decision_reason,
+            survey_timestamp: tracked.timestamp
+        };
+    }
+
+    /* =========================
+        EVENT / LOG HELPERS
+       ========================= */
+
+    safeLookup(surveyId) {
+        try {
+            return this.config.surveyLookup(String(surveyId));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Emits an event for external tracking/debug.
+     */
+    emit(type, payload) {
+        if (typeof this.config.onEvent === "function") {
+            try {
+                this.config.onEvent(type, payload || {});
+            } catch (e) {
+                // Swallow errors to keep tracking resilient.
+            }
+        }
+    }
+
+    /**
+     * Logs via the provided logger hook (if any).
+     */
+    log(msg) {
+        if (typeof this.config.logger === "function") {
+            try {
+                this.config.logger(msg);
+            } catch (e) {
+                // No-op
+            }
+        }
+    }
+}
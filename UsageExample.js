@@ -3,95 +3,114 @@
    ========================= */
 
 /**
- * Controller responsibilities:
- * - Decide if the current page should run surveys (page list/rules external)
- * - Build candidate survey IDs (e.g., lookup from pageName -> candidate list)
- * - Pass candidates to SurveyEngine to choose one
- * - If chosen, pass config to InvitationRenderer to display UI
+ * Controller responsibilities (SurveyLauncher does the wiring):
+ * - Provide targeting rules (page -> candidate survey IDs)
+ * - Provide survey definitions and invitation styles
+ * - Provide the tracking adapters
+ *
+ * The launcher then builds the page context, lets SurveyEngine choose a survey among
+ * the candidates and hands it to InvitationRenderer (quarantine triggers and
+ * responses are applied from the invitation lifecycle).
  */
 
 // 1) Inputs from your environment (NOT from Tealium b)
-var pageName = window.utag_data && window.utag_data.page_name ? String(window.utag_data.page_name) : "";
 var medalliaWebsiteId = window.utag_data && window.utag_data.medallia_website_id ? String(window.utag_data.medallia_website_id) : "";
 
-// 2) External rule: decide if this page is eligible (example)
-// NOTE: You said this must be external, so keep it here.
-var pageToCandidatesMap = {
-    "Landing:Festa della mamma:Slide 3": ["1234"],
-    "Landing:Xmas Landing": ["5678"]
-};
+// Analytics: every component event, mapped to a stable schema and sent to Tealium
+// (add "ga4" / "adobe" as needed). Noisy sampling decisions are sampled at 10%.
+var tracker = new SurveyTracker({
+    adapters: ["tealium"],
+    exclude: ["targeting_rule_not_matched"],
+    sampleRates: {
+        survey_excluded_not_quarantined_event_sampling: 0.1
+    }
+});
 
-if (!pageName || !pageToCandidatesMap[pageName]) return;
+var launcher = new SurveyLauncher({
+    medalliaWebsiteId: medalliaWebsiteId,
 
-var candidates = pageToCandidatesMap[pageName];
+    // 2) External rule: decide if this page is eligible (declarative targeting rules)
+    // NOTE: rules are plain JSON, so they can be served from a tag manager or CMS.
+    targeting: [
+        {
+            id: "mothers_day_landing",
+            candidates: ["1230"],
+            when: { page_name: "Landing:Festa della mamma:Slide 3" }
+        },
+        {
+            id: "xmas_landing",
+            candidates: ["5678"],
+            when: {
+                any: [
+                    { page_name: { prefix: "Landing:Xmas" } },
+                    { path: "/landing/xmas/**" }
+                ]
+            }
+        }
+    ],
 
-// 3) Configure engine (survey definitions)
-var engine = new SurveyEngine({
-    userSampling: false,
-    onEvent: function (type, payload) {
-        // Example: integrate with Tealium/GA4/Adobe *here* if you want
-        // utag.link({ event_name: type, ...payload })
-        // console.log(type, payload);
+    // 3) Survey definitions (validated and normalized in lenient mode:
+    //    check launcher.engine.getValidationReport() in QA)
+    surveys: {
+        "1230": {
+            formId: "1230",
+            survey_id: "1230",
+            survey_name: "Funnel satisfaction survey",
+            percentage: "100",
+            quarantine: "20",
+            quarantine_trigger: "on_shown",
+            quarantine_accept: "90",
+            quarantine_decline: "30",
+            priority: 10,
+            display: "invitation_app",
+            delay: "2000"
+        },
+        "5678": {
+            formId: "5678",
+            survey_id: "5678",
+            survey_name: "App gift vouchers survey",
+            percentage: "100",
+            quarantine: "50",
+            priority: 10,
+            display: "invitation_app",
+            delay: "2500"
+        }
     },
-    logger: function (msg) {
-        // console.log(msg);
-    }
-});
 
-engine.setSurveyConfigurations({
-    "2467": {
-        formId: "1230",
-        survey_id: "1230",
-        survey_name: "Funnel satisfaction survey",
-        percentage: "100",
-        quarantine: "20",
-        priority: 10,
-        display: "invitation_app",
-        delay: "2000"
+    // 4) Invitation styles (keys are the `display` values)
+    styles: {
+        invitation_app: {
+            css: "/* your CSS here */",
+            html: "<div id='invitation_modal'><h2 id='invitation_title'>Help us improve</h2><p id='invitation_text'>Would you answer our {{survey_name}}?{{#if data.customer_first_name}} Thanks, {{data.customer_first_name}}!{{/if}}</p><button id='invitation_accept'>OK</button><button id='invitation_decline'>KO</button></div>",
+            container_selector: "#invitation_modal",
+            ok_selector: "#invitation_accept",
+            ko_selector: "#invitation_decline",
+            label_selector: "#invitation_title",
+            description_selector: "#invitation_text"
+        }
     },
-    "27152": {
-        formId: "5678",
-        survey_id: "5678",
-        survey_name: "App gift vouchers survey",
-        percentage: "100",
-        quarantine: "50",
-        priority: 10,
-        display: "invitation_app",
-        delay: "2500"
-    }
-});
 
-// 4) Choose survey
-var chosenSurvey = engine.chooseSurvey(candidates);
-if (!chosenSurvey) return;
-
-// 5) Configure renderer (styles + Medallia loader)
-var renderer = new InvitationRenderer({
-    medalliaWebsiteId: medalliaWebsiteId,
-    onEvent: function (type, payload) {
-        // Example: track invitation lifecycle
-        // utag.link({ event_name: type, ...payload })
+    // 5) Engine options
+    engineOptions: {
+        userSampling: false,
+        frequencyCaps: {
+            maxPerSession: 1,
+            maxPerPeriod: 2,
+            periodDays: 30,
+            minHoursAfterResponse: 24 * 7
+        }
     },
+
+    // Set to true on single-page applications (re-evaluates on client-side navigation)
+    spa: false,
+
+    tracking: tracker,
     logger: function (msg) {
         // console.log(msg);
     }
 });
 
-renderer.setSurveyStyles({
-    invitation_app: {
-        css: "/* your CSS here */",
-        html: "<div id='invitation_modal'><button id='invitation_accept'>OK</button><button id='invitation_decline'>KO</button></div>",
-        container_selector: "#invitation_modal",
-        ok_selector: "#invitation_accept",
-        ko_selector: "#invitation_decline"
-    }
-});
-
-// 6) Show invitation UI
-renderer.showInvitationForSurvey(chosenSurvey);
-
-// 7) Optional: quarantine only when actually shown
-// If you prefer quarantine at "shown" time (instead of at sampling pass),
-// you can move quarantine logic to controller by listening to renderer events
-// and calling engine.quarantineSurvey(chosenSurvey.survey_id, chosenSurvey.quarantine).
+// 6) Evaluate the current page and show the chosen invitation (if any)
+launcher.start();
 
+// Later (e.g. on logout or consent withdrawal): launcher.destroy();
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+/**
+ * build
+ * -----
+ * Bundles the browser scripts (in load order) into distributable builds:
+ *
+ *   dist/medallia-launcher.umd.js   AMD / CommonJS / global `MedalliaLauncher` (Tealium extensions, <script>)
+ *   dist/medallia-launcher.esm.mjs  ES module (named exports + default SurveyLauncher)
+ *   dist/medallia-launcher.cjs.js   CommonJS (module.exports)
+ *
+ * Usage:
+ *   node scripts/build.js [--out=<dir>]   (or: npm run build)
+ *
+ * package.json points main/module/exports at these files; the ES module uses .mjs so that
+ * Node treats it as a module without "type": "module".
+ *
+ * No dependencies: sources are plain class declarations, concatenated and wrapped.
+ */
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+
+var ROOT = path.join(__dirname, "..");
+
+// Load order matters: dependencies first (see README "Usage notes").
+var SOURCES = [
+    "StorageAdapters.js",
+    "SurveyConfigValidator.js",
+    "AudienceEvaluator.js",
+    "SurveyEngine.js",
+    "PageTargeting.js",
+    "ConsentGate.js",
+    "MedalliaLoader.js",
+    "InvitationTemplate.js",
+    "InvitationTriggers.js",
+    "InvitationRenderer.js",
+    "SurveyNavigationController.js",
+    "SurveyTracker.js",
+    "SurveyDebugOverlay.js",
+    "SurveyLauncher.js"
+];
+
+// Classes exposed by every build
+var EXPORTS = [
+    "SurveyLauncher",
+    "SurveyEngine",
+    "SurveyConfigValidator",
+    "AudienceEvaluator",
+    "PageTargeting",
+    "InvitationRenderer",
+    "MedalliaLoader",
+    "InvitationTemplate",
+    "InvitationTriggers",
+    "SurveyNavigationController",
+    "SurveyTracker",
+    "SurveyDebugOverlay",
+    "ConsentGate",
+    "WebStorageAdapter",
+    "CookieStorageAdapter",
+    "MemoryStorageAdapter",
+    "FallbackStorageAdapter"
+];
+
+function parseArgs(argv) {
+    var args = { out: path.join(ROOT, "dist") };
+
+    argv.forEach(function (arg) {
+        if (arg.indexOf("--out=") === 0) args.out = path.resolve(arg.slice("--out=".length));
+    });
+
+    return args;
+}
+
+function readSources() {
+    return SOURCES.map(function (file) {
+        return "/* ---- " + file + " ---- */\n" + fs.readFileSync(path.join(ROOT, file), "utf8").trim() + "\n";
+    }).join("\n");
+}
+
+function exportObject(indent) {
+    return "{\n" + EXPORTS.map(function (name) {
+        return indent + "    " + name + ": " + name;
+    }).join(",\n") + "\n" + indent + "}";
+}
+
+function indent(code) {
+    return code.split("\n").map(function (line) {
+        return line ? "    " + line : line;
+    }).join("\n");
+}
+
+function buildUmd(banner, code) {
+    return banner +
+        "(function (root, factory) {\n" +
+        "    if (typeof define === \"function\" && define.amd) {\n" +
+        "        define([], factory);\n" +
+        "    } else if (typeof module === \"object\" && module.exports) {\n" +
+        "        module.exports = factory();\n" +
+        "    } else {\n" +
+        "        root.MedalliaLauncher = factory();\n" +
+        "    }\n" +
+        "})(typeof self !== \"undefined\" ? self : this, function () {\n" +
+        "    \"use strict\";\n\n" +
+        indent(code) + "\n" +
+        "    return " + exportObject("    ") + ";\n" +
+        "});\n";
+}
+
+function buildEsm(banner, code) {
+    return banner + code + "\nexport " + exportObject("").replace(/: \w+/g, "") + ";\nexport default SurveyLauncher;\n";
+}
+
+function buildCjs(banner, code) {
+    return banner + "\"use strict\";\n\n" + code + "\nmodule.exports = " + exportObject("") + ";\n";
+}
+
+function main() {
+    var args = parseArgs(process.argv.slice(2));
+    var code;
+
+    try {
+        code = readSources();
+    } catch (e) {
+        console.error("Unable to read sources: " + e.message);
+        return 2;
+    }
+
+    var banner = "/*! MedalliaLauncher - built " + new Date().toISOString().slice(0, 10) + " from " + SOURCES.join(", ") + " */\n";
+    var outputs = {
+        "medallia-launcher.umd.js": buildUmd(banner, code),
+        "medallia-launcher.esm.mjs": buildEsm(banner, code),
+        "medallia-launcher.cjs.js": buildCjs(banner, code)
+    };
+
+    try {
+        fs.mkdirSync(args.out, { recursive: true });
+        Object.keys(outputs).forEach(function (file) {
+            fs.writeFileSync(path.join(args.out, file), outputs[file]);
+            console.log("Wrote " + path.relative(process.cwd(), path.join(args.out, file)));
+        });
+    } catch (e) {
+        console.error("Unable to write builds: " + e.message);
+        return 2;
+    }
+
+    return 0;
+}
+
+process.exitCode = main();
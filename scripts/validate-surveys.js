@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * validate-surveys
+ * ----------------
+ * Validates a survey configuration JSON file with SurveyConfigValidator.
+ *
+ * Usage:
+ *   node scripts/validate-surveys.js <surveys.json> [--strict] [--styles=<styles.json>] [--displays=a,b] [--json]
+ *
+ * - <surveys.json>  object keyed by survey ID (same shape as setSurveyConfigurations())
+ * - --strict        report surveys with errors as rejected
+ * - --styles        JSON file with renderer styles; its keys are the known displays
+ * - --displays      comma-separated list of known displays (alternative to --styles)
+ * - --json          print the full report as JSON
+ *
+ * Exit code: 0 if valid, 1 if errors were found, 2 on usage/IO errors.
+ */
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+function loadValidator() {
+    // The validator is a plain browser script: evaluate it and read the class back.
+    var file = path.join(__dirname, "..", "SurveyConfigValidator.js");
+    var source = fs.readFileSync(file, "utf8") + "\nSurveyConfigValidator;";
+    return vm.runInNewContext(source, {}, { filename: file });
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+function parseArgs(argv) {
+    var args = { file: null, strict: false, styles: null, displays: null, json: false };
+
+    argv.forEach(function (arg) {
+        if (arg === "--strict") args.strict = true;
+        else if (arg === "--json") args.json = true;
+        else if (arg.indexOf("--styles=") === 0) args.styles = arg.slice("--styles=".length);
+        else if (arg.indexOf("--displays=") === 0) args.displays = arg.slice("--displays=".length).split(",").filter(Boolean);
+        else if (!args.file) args.file = arg;
+    });
+
+    return args;
+}
+
+function printIssues(label, issues) {
+    if (!issues.length) return;
+
+    console.log(label + ":");
+    issues.forEach(function (issue) {
+        console.log("  [" + (issue.key === null ? "-" : issue.key) + "] " + (issue.field || "-") + " " + issue.code + ": " + issue.message);
+    });
+}
+
+function main() {
+    var args = parseArgs(process.argv.slice(2));
+
+    if (!args.file) {
+        console.error("Usage: node scripts/validate-surveys.js <surveys.json> [--strict] [--styles=<styles.json>] [--displays=a,b] [--json]");
+        return 2;
+    }
+
+    var configurations;
+    var knownDisplays = args.displays;
+
+    try {
+        configurations = readJson(args.file);
+        if (args.styles) knownDisplays = Object.keys(readJson(args.styles));
+    } catch (e) {
+        console.error("Unable to read input: " + e.message);
+        return 2;
+    }
+
+    var SurveyConfigValidator = loadValidator();
+    var report = new SurveyConfigValidator({
+        mode: args.strict ? "strict" : "lenient",
+        knownDisplays: knownDisplays
+    }).validate(configurations);
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printIssues("Errors", report.errors);
+        printIssues("Warnings", report.warnings);
+        if (report.rejected.length) console.log("Rejected: " + report.rejected.join(", "));
+        console.log(report.valid ? "OK: " + Object.keys(configurations).length + " survey(s) valid" : "FAILED: " + report.errors.length + " error(s)");
+    }
+
+    return report.valid ? 0 : 1;
+}
+
+process.exitCode = main();